@@ -4,44 +4,81 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const CONFIG = require('./src/config/constants');
 const SocketManager = require('./src/socket/SocketManager');
+const createApiRouter = require('./src/routes/api');
+const { createBroker } = require('./src/cluster/brokers');
+const { createBrokerAdapter } = require('./src/cluster/BrokerAdapter');
 const logger = require('./src/utils/logger');
+const metrics = require('./src/utils/metrics');
 
 class SyncBoardServer {
-  constructor() {
+  // port 0 listens on a free port (see this.port after start). dataDir keeps room files and
+  // attachments there instead of DATA_DIR; storage replaces the DataStorage entirely.
+  constructor({ port = CONFIG.PORT, dataDir = null, storage = null } = {}) {
+    this.port = port;
+    this.dataDir = dataDir || CONFIG.DATA_DIR;
     this.app = express();
     this.setupMiddleware();
     this.httpServer = createServer(this.app);
+    // With a broker, instances share broadcasts and room ownership
+    this.broker = CONFIG.CLUSTER_BROKER_URL ? createBroker(CONFIG.CLUSTER_BROKER_URL) : null;
     this.io = new Server(this.httpServer, {
-      cors: CONFIG.CLIENT_URL,
+      cors: { origin: this.getCorsOrigin() },
+      // Large texts go out compressed, for clients that negotiate it (websocket) or accept gzip (polling)
+      perMessageDeflate: CONFIG.SOCKET_COMPRESSION && { threshold: CONFIG.COMPRESSION_THRESHOLD },
+      httpCompression: CONFIG.SOCKET_COMPRESSION && { threshold: CONFIG.COMPRESSION_THRESHOLD },
+      ...(this.broker && { adapter: createBrokerAdapter(this.broker, CONFIG.CLUSTER_CHANNEL_PREFIX) })
     });
-    this.socketManager = new SocketManager(this.io);
-    this.setupGracefulShutdown();
+    this.socketManager = new SocketManager(this.io, { broker: this.broker, storage, dataDir });
+    this.setupRoutes();
   }
 
   setupMiddleware() {
-    this.app.use(cors({ origin: CONFIG.CLIENT_URL }));
+    // req.ip from X-Forwarded-For, the same rule sockets use
+    if (CONFIG.TRUST_PROXY) {
+      this.app.set('trust proxy', true);
+    }
+    this.app.use(cors({ origin: this.getCorsOrigin() }));
+  }
+
+  // '*' in CORS_ORIGINS allows every origin
+  getCorsOrigin() {
+    return CONFIG.CORS_ORIGINS.includes('*') ? '*' : CONFIG.CORS_ORIGINS;
+  }
+
+  setupRoutes() {
+    this.app.get('/healthz', (req, res) => {
+      res.json({
+        status: 'ok',
+        uptime: process.uptime(),
+        rooms: Object.keys(this.socketManager.storage.data).length,
+        connections: this.io.engine.clientsCount
+      });
+    });
+
+    // Prometheus scrape endpoint, values are for this instance
+    this.app.get('/metrics', (req, res) => {
+      this.socketManager.collectMetrics();
+      res.type(metrics.contentType).send(metrics.registry.render());
+    });
+
+    this.app.use('/api', createApiRouter(this.socketManager));
   }
 
   setupGracefulShutdown() {
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}, gracefully shutting down...`);
 
-      try {
-        await this.socketManager.shutdown();
-
-        // Set a timeout to force exit if graceful shutdown takes too long
-        const forceExitTimeout = setTimeout(() => {
-          logger.warn('Force exiting after timeout');
-          process.exit(1);
-        }, 5000);
-
-        // Close server
-        this.httpServer.close(() => {
-          clearTimeout(forceExitTimeout);
-          logger.info('Server closed gracefully');
-          process.exit(0);
-        });
+      // Set a timeout to force exit if graceful shutdown takes too long
+      const forceExitTimeout = setTimeout(() => {
+        logger.warn('Force exiting after timeout');
+        process.exit(1);
+      }, 5000);
 
+      try {
+        await this.stop();
+        clearTimeout(forceExitTimeout);
+        logger.info('Server closed gracefully');
+        process.exit(0);
       } catch (error) {
         logger.error(`Error during shutdown: ${error.message}`);
         process.exit(1);
@@ -52,17 +89,40 @@ class SyncBoardServer {
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
   }
 
-  start() {
-    this.httpServer.listen(CONFIG.PORT, () => {
-      logger.info(`Server running on http://localhost:${CONFIG.PORT}`);
-      logger.info(`Data directory: ${CONFIG.DATA_DIR}`);
-      logger.info(`Max room size: ${CONFIG.MAX_ROOM_SIZE} users`);
-      logger.info(`Max text length: ${(CONFIG.MAX_TEXT_LENGTH / 1000000).toFixed(1)}MB`);
-      logger.info(`=== Server Ready ===`);
+  // Resolves once the server is listening
+  async start() {
+    await this.socketManager.start();
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, resolve);
     });
+    this.port = this.httpServer.address().port;
+
+    logger.info(`Server running on http://localhost:${this.port}`);
+    logger.info(`Data directory: ${this.dataDir}`);
+    logger.info(`Max room size: ${CONFIG.MAX_ROOM_SIZE} users`);
+    logger.info(`Max text length: ${(CONFIG.MAX_TEXT_LENGTH / 1000000).toFixed(1)}MB`);
+    if (this.broker) {
+      logger.info(`Cluster broker: ${new URL(CONFIG.CLUSTER_BROKER_URL).host}`);
+    }
+    logger.info(`=== Server Ready ===`);
   }
+
+  // Save pending changes, then close sockets and the HTTP server without exiting
+  async stop() {
+    await this.socketManager.shutdown();
+  }
+}
+
+// Start the server when run directly; tests require the class instead
+if (require.main === module) {
+  const server = new SyncBoardServer();
+  server.setupGracefulShutdown();
+  server.start().catch((error) => {
+    logger.error(`Failed to start server: ${error.message}`);
+    process.exit(1);
+  });
 }
 
-// Start the server
-const server = new SyncBoardServer();
-server.start();
+module.exports = SyncBoardServer;
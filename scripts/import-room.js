@@ -0,0 +1,94 @@
+// Import a room export (.json), a text/markdown file or a whole backup (.json.gz) straight
+// into storage, without the server running.
+// Usage: node scripts/import-room.js <file> [--room <roomId>] [--owner <userId>] [--overwrite]
+// Stop the server first - it would not see the new rooms and could overwrite them.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createStorageAdapter } = require('../src/storage/adapters');
+const { RoomTransferError, parseRoomImport, isBackup, parseBackup } = require('../src/storage/roomTransfer');
+const { sanitizeRoomId, sanitizeUserId } = require('../src/utils/validation');
+const logger = require('../src/utils/logger');
+
+const USAGE = 'Usage: node scripts/import-room.js <file> [--room <roomId>] [--owner <userId>] [--overwrite]';
+
+const parseArgs = (args) => {
+    const options = { file: null, roomId: null, ownerId: null, overwrite: false };
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '--room') {
+            options.roomId = sanitizeRoomId(args[++index]);
+            if (!options.roomId) throw new Error('Invalid room ID');
+        } else if (arg === '--owner') {
+            options.ownerId = sanitizeUserId(args[++index]);
+            if (!options.ownerId) throw new Error('Invalid owner user ID');
+        } else if (arg === '--overwrite') {
+            options.overwrite = true;
+        } else if (!options.file) {
+            options.file = arg;
+        } else {
+            throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+    if (!options.file) throw new Error('No file given');
+    return options;
+};
+
+// Rooms to write, by room ID
+const readRooms = (buffer, file, options) => {
+    if (isBackup(buffer)) {
+        const { rooms, invalid } = parseBackup(buffer);
+        invalid.forEach(roomId => logger.warn(`Skipping invalid room ${roomId} in backup`));
+        return rooms;
+    }
+
+    const mediaType = path.extname(file).toLowerCase() === '.json' ? 'application/json' : 'text/plain';
+    const { roomId, roomData } = parseRoomImport(buffer, mediaType, options.ownerId);
+    return { [options.roomId || roomId || crypto.randomBytes(8).toString('hex')]: roomData };
+};
+
+const importRooms = async (options) => {
+    const buffer = fs.readFileSync(options.file);
+    const rooms = readRooms(buffer, options.file, options);
+
+    const adapter = createStorageAdapter();
+    await adapter.init();
+
+    try {
+        const existing = new Set(await adapter.listRooms());
+        let imported = 0;
+
+        for (const [roomId, roomData] of Object.entries(rooms)) {
+            if (existing.has(roomId) && !options.overwrite) {
+                logger.warn(`Room ${roomId} already exists - skipped (use --overwrite to replace it)`);
+                continue;
+            }
+
+            // Users rejoin through init, as after any restart
+            await adapter.saveRoom(roomId, { ...roomData, users: {} });
+            logger.info(`Imported room ${roomId}`);
+            imported++;
+        }
+
+        logger.info(`Imported ${imported}/${Object.keys(rooms).length} rooms from ${options.file}`);
+        return imported === Object.keys(rooms).length;
+    } finally {
+        await adapter.close();
+    }
+};
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(1);
+}
+
+importRooms(options)
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+        const reason = error instanceof RoomTransferError ? error.message : `Import failed: ${error.message}`;
+        logger.error(reason);
+        process.exit(1);
+    });
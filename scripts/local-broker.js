@@ -0,0 +1,107 @@
+// Stand-in for Redis when running several server instances locally.
+// Usage: node scripts/local-broker.js [port]   then start instances with
+// CLUSTER_BROKER_URL=local://localhost:<port>
+// Everything is kept in memory; not meant for production.
+const net = require('net');
+
+const port = Number(process.argv[2]) || 6380;
+const subscriptions = new Map(); // channel -> Set of connections
+const leases = new Map(); // key -> { owner, expiresAt }
+const connections = new Set();
+
+const getLease = (key) => {
+    const lease = leases.get(key);
+    if (lease && lease.expiresAt <= Date.now()) {
+        leases.delete(key);
+        return null;
+    }
+    return lease || null;
+};
+
+const commands = {
+    subscribe: (connection, { channel }) => {
+        if (!subscriptions.has(channel)) {
+            subscriptions.set(channel, new Set());
+        }
+        subscriptions.get(channel).add(connection);
+        connection.channels.add(channel);
+        return true;
+    },
+
+    publish: (connection, { channel, message }) => {
+        const line = JSON.stringify({ channel, message }) + '\n';
+        const subscribers = subscriptions.get(channel) || [];
+        subscribers.forEach(subscriber => subscriber.write(line));
+        return subscribers.size || 0;
+    },
+
+    acquire: (connection, { key, owner, ttl }) => {
+        const lease = getLease(key);
+        if (lease) return lease.owner;
+
+        leases.set(key, { owner, expiresAt: Date.now() + ttl });
+        return owner;
+    },
+
+    renew: (connection, { key, owner, ttl }) => {
+        const lease = getLease(key);
+        if (!lease || lease.owner !== owner) return false;
+
+        lease.expiresAt = Date.now() + ttl;
+        return true;
+    },
+
+    release: (connection, { key, owner }) => {
+        const lease = getLease(key);
+        if (!lease || lease.owner !== owner) return false;
+
+        leases.delete(key);
+        return true;
+    },
+
+    get: (connection, { key }) => getLease(key)?.owner || null
+};
+
+const server = net.createServer((connection) => {
+    connection.setEncoding('utf8');
+    connection.channels = new Set();
+    connections.add(connection);
+
+    let buffer = '';
+    connection.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 1);
+            if (!line) continue;
+
+            let request;
+            try {
+                request = JSON.parse(line);
+                const command = commands[request.cmd];
+                if (!command) throw new Error(`Unknown command ${request.cmd}`);
+                connection.write(JSON.stringify({ id: request.id, result: command(connection, request) }) + '\n');
+            } catch (error) {
+                connection.write(JSON.stringify({ id: request?.id, error: error.message }) + '\n');
+            }
+        }
+    });
+
+    connection.on('close', () => {
+        connections.delete(connection);
+        connection.channels.forEach(channel => subscriptions.get(channel)?.delete(connection));
+    });
+    connection.on('error', () => {});
+});
+
+server.listen(port, () => {
+    console.log(`Local cluster broker listening on localhost:${port}`);
+});
+
+const shutdown = () => {
+    server.close(() => process.exit(0));
+    connections.forEach(connection => connection.destroy());
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
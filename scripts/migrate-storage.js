@@ -0,0 +1,52 @@
+// Copy every room from one storage adapter to another.
+// Usage: node scripts/migrate-storage.js <from> <to>   e.g. json sqlite
+// Stop the server first so rooms aren't written while they are copied.
+const { createStorageAdapter } = require('../src/storage/adapters');
+const logger = require('../src/utils/logger');
+
+const migrate = async (fromType, toType) => {
+    if (fromType === toType) {
+        throw new Error('Source and target adapters must be different');
+    }
+
+    const source = createStorageAdapter(fromType);
+    const target = createStorageAdapter(toType);
+    await source.init();
+    await target.init();
+
+    try {
+        const roomIds = await source.listRooms();
+        let copied = 0;
+
+        for (const roomId of roomIds) {
+            try {
+                const roomData = await source.loadRoom(roomId);
+                if (!roomData) continue;
+
+                await target.saveRoom(roomId, roomData);
+                copied++;
+            } catch (error) {
+                logger.error(`Failed to migrate room ${roomId}: ${error.message}`);
+            }
+        }
+
+        logger.info(`Migrated ${copied}/${roomIds.length} rooms from ${fromType} to ${toType}`);
+        return copied === roomIds.length;
+    } finally {
+        await source.close();
+        await target.close();
+    }
+};
+
+const [fromType, toType] = process.argv.slice(2);
+if (!fromType || !toType) {
+    console.error('Usage: node scripts/migrate-storage.js <from> <to>   (adapters: json, sqlite)');
+    process.exit(1);
+}
+
+migrate(fromType, toType)
+    .then(success => process.exit(success ? 0 : 1))
+    .catch(error => {
+        logger.error(`Migration failed: ${error.message}`);
+        process.exit(1);
+    });
@@ -0,0 +1,45 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Buffers survive JSON.stringify as { type: 'Buffer', data: [...] } - turn them back into Buffers
+const reviveBuffers = (key, value) => {
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return Buffer.from(value.data);
+    }
+    return value;
+};
+
+// Socket.IO adapter that broadcasts across instances over the cluster broker
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, broker, channelPrefix, opts = {}) {
+        super(nsp, opts);
+        this.broker = broker;
+        this.channel = `${channelPrefix}:adapter:${nsp.name}`;
+
+        const decode = (raw) => JSON.parse(raw, reviveBuffers);
+        this.broker.subscribe(this.channel, raw => this.onMessage(decode(raw)));
+        this.broker.subscribe(this.getResponseChannel(this.uid), raw => this.onResponse(decode(raw)));
+    }
+
+    getResponseChannel(uid) {
+        return `${this.channel}:response:${uid}`;
+    }
+
+    async doPublish(message) {
+        await this.broker.publish(this.channel, JSON.stringify(message));
+        return '';
+    }
+
+    async doPublishResponse(requesterUid, response) {
+        await this.broker.publish(this.getResponseChannel(requesterUid), JSON.stringify(response));
+    }
+}
+
+// Adapter constructor for the Socket.IO `adapter` option
+const createBrokerAdapter = (broker, channelPrefix, opts) => function (nsp) {
+    return new BrokerAdapter(nsp, broker, channelPrefix, opts);
+};
+
+module.exports = {
+    BrokerAdapter,
+    createBrokerAdapter
+};
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const os = require('os');
+const RemoteSocket = require('./RemoteSocket');
+const logger = require('../utils/logger');
+
+// Forwarded events are passed on at most this many times before being dropped
+const MAX_HOPS = 2;
+
+// Coordinates room ownership between instances. Every room has one home instance,
+// holding a lease on it in the broker; only the home keeps the room in memory and runs
+// its events. Other instances forward their sockets' events for that room to the home,
+// which runs the handlers with a RemoteSocket and reaches the real socket through the
+// cluster adapter. Room capacity, text updates and disconnect cleanup therefore always
+// run in one process.
+class ClusterCoordinator {
+    constructor({ broker, io, storage, methods, runEvent, channelPrefix, leaseTtl, heartbeatInterval, requestTimeout }) {
+        this.broker = broker;
+        this.io = io;
+        this.storage = storage;
+        this.runEvent = runEvent;
+        this.channelPrefix = channelPrefix;
+        this.leaseTtl = leaseTtl;
+        this.heartbeatInterval = heartbeatInterval;
+        this.requestTimeout = requestTimeout;
+
+        this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+        this.ownedRooms = new Set();
+        this.acquiring = new Map();
+        this.remoteSockets = new Map();
+        this.instances = new Map();
+        this.methods = methods;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        this.timers = [];
+    }
+
+    getInstanceChannel(instanceId) {
+        return `${this.channelPrefix}:instance:${instanceId}`;
+    }
+
+    getLeaseKey(roomId) {
+        return `${this.channelPrefix}:room:${roomId}:home`;
+    }
+
+    async start() {
+        await this.broker.subscribe(this.getInstanceChannel(this.instanceId), raw => this.handleMessage(raw));
+        await this.broker.subscribe(`${this.channelPrefix}:instances`, raw => this.handleMessage(raw));
+
+        this.timers.push(setInterval(() => this.renewLeases(), Math.floor(this.leaseTtl / 3)));
+        this.timers.push(setInterval(() => this.sendHeartbeat(), this.heartbeatInterval));
+        this.sendHeartbeat();
+
+        logger.info(`Cluster instance ${this.instanceId} started`);
+    }
+
+    async stop() {
+        this.timers.forEach(clearInterval);
+        this.timers = [];
+
+        await this.publish(`${this.channelPrefix}:instances`, { type: 'leave', from: this.instanceId });
+
+        // Let other instances take over our rooms right away instead of waiting for the TTL
+        for (const roomId of this.ownedRooms) {
+            await this.broker.releaseLease(this.getLeaseKey(roomId), this.instanceId).catch(() => {});
+        }
+        this.ownedRooms.clear();
+
+        await this.broker.close();
+    }
+
+    async publish(channel, message) {
+        await this.broker.publish(channel, JSON.stringify(message));
+    }
+
+    // The instance that owns the room, taking the lease if nobody does
+    async resolveHome(roomId) {
+        if (this.ownedRooms.has(roomId)) {
+            return this.instanceId;
+        }
+
+        if (!this.acquiring.has(roomId)) {
+            const acquire = this.acquireRoom(roomId).finally(() => this.acquiring.delete(roomId));
+            this.acquiring.set(roomId, acquire);
+        }
+        return this.acquiring.get(roomId);
+    }
+
+    async acquireRoom(roomId) {
+        const owner = await this.broker.acquireLease(this.getLeaseKey(roomId), this.instanceId, this.leaseTtl);
+        if (owner === this.instanceId && !this.ownedRooms.has(roomId)) {
+            // The previous home may have changed the room - start from what is persisted
+            await this.storage.hydrateRoom(roomId);
+            this.ownedRooms.add(roomId);
+        }
+        return owner;
+    }
+
+    async renewLeases() {
+        for (const roomId of [...this.ownedRooms]) {
+            const key = this.getLeaseKey(roomId);
+            try {
+                // Deleted rooms don't need a home anymore
+                if (!this.storage.getRoomData(roomId)) {
+                    this.ownedRooms.delete(roomId);
+                    await this.broker.releaseLease(key, this.instanceId);
+                    continue;
+                }
+
+                if (!await this.broker.renewLease(key, this.instanceId, this.leaseTtl)) {
+                    logger.warn(`Lost ownership of room ${roomId} to another instance`, { roomId });
+                    this.ownedRooms.delete(roomId);
+                    this.storage.evictRoom(roomId);
+                }
+            } catch (error) {
+                logger.error(`Error renewing lease for room ${roomId}: ${error.message}`, { roomId });
+            }
+        }
+    }
+
+    sendHeartbeat() {
+        this.publish(`${this.channelPrefix}:instances`, { type: 'heartbeat', from: this.instanceId })
+            .catch(error => logger.error(`Error sending cluster heartbeat: ${error.message}`));
+
+        // Sockets of instances that stopped sending heartbeats are gone - clean them up
+        const deadline = Date.now() - this.heartbeatInterval * 3;
+        for (const [instanceId, lastSeen] of this.instances) {
+            if (lastSeen < deadline) {
+                logger.warn(`Cluster instance ${instanceId} stopped responding`);
+                this.handleInstanceLeft(instanceId);
+            }
+        }
+    }
+
+    handleInstanceLeft(instanceId) {
+        this.instances.delete(instanceId);
+        for (const socket of [...this.remoteSockets.values()]) {
+            if (socket.origin === instanceId) {
+                this.runRemoteDisconnect(socket.id);
+            }
+        }
+    }
+
+    // Cluster-wide periodic jobs run on whichever instance takes the task's lease first
+    async claimTask(name, ttl) {
+        const owner = await this.broker.acquireLease(`${this.channelPrefix}:task:${name}`, this.instanceId, ttl);
+        return owner === this.instanceId;
+    }
+
+    // Route a socket event to the room's home instance, running it here if that's us
+    async dispatch(socket, event, args, roomId) {
+        const homeId = await this.resolveHome(roomId);
+        if (homeId === this.instanceId) {
+            await this.runEvent(socket, event, args);
+            return;
+        }
+
+        await this.publish(this.getInstanceChannel(homeId), {
+            type: 'event',
+            from: this.instanceId,
+            origin: this.instanceId,
+            socketId: socket.id,
+            isAdmin: Boolean(socket.isAdmin),
+            clientIp: socket.clientIp,
+            roomId,
+            event,
+            args,
+            hops: 0
+        });
+    }
+
+    // Run a room method on the room's home instance and return its result
+    async callRoom(roomId, method, args = []) {
+        const homeId = await this.resolveHome(roomId);
+        if (homeId === this.instanceId) {
+            return this.methods[method](roomId, ...args);
+        }
+        return this.request(homeId, { type: 'call', method, roomId, args });
+    }
+
+    // Run a method on every instance, returns the results of the ones that answered in time
+    async callAll(method, args = []) {
+        const local = this.methods[method](...args);
+        const remote = [...this.instances.keys()].map(instanceId =>
+            this.request(instanceId, { type: 'callAll', method, args }).catch(error => {
+                logger.warn(`Instance ${instanceId} did not answer ${method}: ${error.message}`);
+                return undefined;
+            })
+        );
+
+        const results = await Promise.all([local, ...remote]);
+        return results.filter(result => result !== undefined);
+    }
+
+    request(instanceId, message) {
+        const requestId = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error('Cluster request timed out'));
+            }, this.requestTimeout);
+
+            this.pendingRequests.set(requestId, { resolve, reject, timeoutId });
+            this.publish(this.getInstanceChannel(instanceId), { ...message, requestId, from: this.instanceId })
+                .catch(error => {
+                    clearTimeout(timeoutId);
+                    this.pendingRequests.delete(requestId);
+                    reject(error);
+                });
+        });
+    }
+
+    async handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch (error) {
+            logger.error(`Invalid cluster message: ${error.message}`);
+            return;
+        }
+
+        if (message.from === this.instanceId) return;
+
+        try {
+            switch (message.type) {
+                case 'heartbeat':
+                    this.instances.set(message.from, Date.now());
+                    break;
+                case 'leave':
+                    this.handleInstanceLeft(message.from);
+                    break;
+                case 'event':
+                    await this.handleForwardedEvent(message);
+                    break;
+                case 'call':
+                    await this.respond(message, async () => {
+                        await this.resolveHome(message.roomId);
+                        return this.methods[message.method](message.roomId, ...message.args);
+                    });
+                    break;
+                case 'callAll':
+                    await this.respond(message, () => this.methods[message.method](...message.args));
+                    break;
+                case 'response':
+                    this.handleResponse(message);
+                    break;
+                default:
+                    logger.warn(`Unknown cluster message type ${message.type}`);
+            }
+        } catch (error) {
+            logger.error(`Error handling cluster ${message.type} message: ${error.message}`);
+        }
+    }
+
+    async respond(message, run) {
+        const response = { type: 'response', requestId: message.requestId, from: this.instanceId };
+        try {
+            response.result = await run();
+        } catch (error) {
+            response.error = error.message;
+        }
+        await this.publish(this.getInstanceChannel(message.from), response);
+    }
+
+    handleResponse(message) {
+        const request = this.pendingRequests.get(message.requestId);
+        if (!request) return;
+
+        clearTimeout(request.timeoutId);
+        this.pendingRequests.delete(message.requestId);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    async handleForwardedEvent(message) {
+        const homeId = await this.resolveHome(message.roomId);
+        if (homeId !== this.instanceId) {
+            // Ownership moved while the event was on its way
+            if (message.hops >= MAX_HOPS) {
+                logger.warn(`Dropped ${message.event} for room ${message.roomId} - no stable home instance`);
+                this.io.to(message.socketId).emit('error', 'Room temporarily unavailable');
+                return;
+            }
+            await this.publish(this.getInstanceChannel(homeId), { ...message, from: this.instanceId, hops: message.hops + 1 });
+            return;
+        }
+
+        if (message.event === 'disconnect') {
+            await this.runRemoteDisconnect(message.socketId);
+            return;
+        }
+
+        // Keep the stand-in for sockets that join so later events see its room and user
+        let socket = this.remoteSockets.get(message.socketId);
+        if (!socket) {
+            socket = new RemoteSocket(this.io, message.socketId, {
+                isAdmin: message.isAdmin,
+                clientIp: message.clientIp,
+                origin: message.origin
+            });
+            if (message.event === 'init') {
+                this.remoteSockets.set(message.socketId, socket);
+            }
+        }
+
+        await this.runEvent(socket, message.event, message.args);
+    }
+
+    async runRemoteDisconnect(socketId) {
+        const socket = this.remoteSockets.get(socketId);
+        if (!socket) return;
+
+        this.remoteSockets.delete(socketId);
+        await this.runEvent(socket, 'disconnect', []);
+    }
+}
+
+module.exports = ClusterCoordinator;
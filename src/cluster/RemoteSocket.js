@@ -0,0 +1,40 @@
+// Stand-in for a socket connected to another instance, used by the room's home instance
+// to run handlers for it. Emits and room joins go through the cluster adapter.
+class RemoteSocket {
+    constructor(io, id, { isAdmin = false, clientIp = null, origin = null } = {}) {
+        this.io = io;
+        this.id = id;
+        this.isAdmin = isAdmin;
+        this.clientIp = clientIp;
+        this.origin = origin;
+        this.roomId = null;
+        this.userId = null;
+        this.docId = null;
+        this.chunkedText = false;
+    }
+
+    emit(event, ...args) {
+        this.io.to(this.id).emit(event, ...args);
+    }
+
+    // Broadcast to a room, leaving this socket out like socket.to() does
+    to(room) {
+        return this.io.to(room).except(this.id);
+    }
+
+    get volatile() {
+        return {
+            to: (room) => this.io.volatile.to(room).except(this.id)
+        };
+    }
+
+    join(room) {
+        this.io.in(this.id).socketsJoin(room);
+    }
+
+    leave(room) {
+        this.io.in(this.id).socketsLeave(room);
+    }
+}
+
+module.exports = RemoteSocket;
@@ -0,0 +1,110 @@
+const net = require('net');
+
+// Client for the stand-in broker in scripts/local-broker.js, for running a cluster locally
+// without Redis. Speaks newline-delimited JSON over TCP.
+class LocalBroker {
+    constructor(url) {
+        const { hostname, port } = new URL(url);
+        this.host = hostname || 'localhost';
+        this.port = Number(port) || 6380;
+        this.ready = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.handlers = new Map();
+    }
+
+    connect() {
+        if (!this.ready) {
+            this.ready = new Promise((resolve, reject) => {
+                this.connection = net.createConnection({ host: this.host, port: this.port }, resolve);
+                this.connection.setEncoding('utf8');
+                this.connection.once('error', reject);
+
+                let buffer = '';
+                this.connection.on('data', (chunk) => {
+                    buffer += chunk;
+                    let newline;
+                    while ((newline = buffer.indexOf('\n')) !== -1) {
+                        const line = buffer.slice(0, newline);
+                        buffer = buffer.slice(newline + 1);
+                        if (line) this.handleLine(line);
+                    }
+                });
+
+                this.connection.on('close', () => {
+                    for (const { reject: rejectRequest } of this.pending.values()) {
+                        rejectRequest(new Error('Local broker connection closed'));
+                    }
+                    this.pending.clear();
+                });
+            });
+        }
+        return this.ready;
+    }
+
+    handleLine(line) {
+        const message = JSON.parse(line);
+
+        if (message.channel !== undefined) {
+            const handlers = this.handlers.get(message.channel) || [];
+            handlers.forEach(handler => handler(message.message));
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) return;
+        this.pending.delete(message.id);
+
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    async send(command) {
+        await this.connect();
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.connection.write(JSON.stringify({ id, ...command }) + '\n');
+        });
+    }
+
+    async publish(channel, message) {
+        await this.send({ cmd: 'publish', channel, message });
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) {
+            this.handlers.set(channel, []);
+            await this.send({ cmd: 'subscribe', channel });
+        }
+        this.handlers.get(channel).push(handler);
+    }
+
+    async acquireLease(key, owner, ttl) {
+        return this.send({ cmd: 'acquire', key, owner, ttl });
+    }
+
+    async renewLease(key, owner, ttl) {
+        return this.send({ cmd: 'renew', key, owner, ttl });
+    }
+
+    async releaseLease(key, owner) {
+        return this.send({ cmd: 'release', key, owner });
+    }
+
+    async getLeaseOwner(key) {
+        return this.send({ cmd: 'get', key });
+    }
+
+    async close() {
+        if (!this.ready) return;
+        await this.ready.catch(() => {});
+        this.connection.end();
+        this.ready = null;
+    }
+}
+
+module.exports = LocalBroker;
@@ -0,0 +1,83 @@
+// Broker backed by Redis: pub/sub for messages, keys with TTL for leases
+const RENEW_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+end
+return 0`;
+
+class RedisBroker {
+    constructor(url) {
+        this.url = url;
+        this.ready = null;
+    }
+
+    connect() {
+        if (!this.ready) {
+            this.ready = (async () => {
+                // Only needed in cluster mode with a redis:// broker URL
+                const { createClient } = require('redis');
+                this.client = createClient({ url: this.url });
+                this.subscriber = this.client.duplicate();
+                await Promise.all([this.client.connect(), this.subscriber.connect()]);
+            })();
+        }
+        return this.ready;
+    }
+
+    async publish(channel, message) {
+        await this.connect();
+        await this.client.publish(channel, message);
+    }
+
+    async subscribe(channel, handler) {
+        await this.connect();
+        await this.subscriber.subscribe(channel, handler);
+    }
+
+    // Take the lease if it is free, returns the current owner
+    async acquireLease(key, owner, ttl) {
+        await this.connect();
+        const result = await this.client.set(key, owner, { NX: true, PX: ttl });
+        if (result === 'OK') return owner;
+
+        const current = await this.client.get(key);
+        // Expired between SET and GET - try once more
+        if (current === null) {
+            const retry = await this.client.set(key, owner, { NX: true, PX: ttl });
+            return retry === 'OK' ? owner : this.client.get(key);
+        }
+        return current;
+    }
+
+    async renewLease(key, owner, ttl) {
+        await this.connect();
+        const result = await this.client.eval(RENEW_SCRIPT, { keys: [key], arguments: [owner, String(ttl)] });
+        return result === 1;
+    }
+
+    async releaseLease(key, owner) {
+        await this.connect();
+        const result = await this.client.eval(RELEASE_SCRIPT, { keys: [key], arguments: [owner] });
+        return result === 1;
+    }
+
+    async getLeaseOwner(key) {
+        await this.connect();
+        return this.client.get(key);
+    }
+
+    async close() {
+        if (!this.ready) return;
+        await this.ready.catch(() => {});
+        await Promise.allSettled([this.subscriber.quit(), this.client.quit()]);
+        this.ready = null;
+    }
+}
+
+module.exports = RedisBroker;
@@ -0,0 +1,27 @@
+const RedisBroker = require('./RedisBroker');
+const LocalBroker = require('./LocalBroker');
+
+// Brokers provide pub/sub plus expiring leases:
+//   publish(channel, message), subscribe(channel, handler),
+//   acquireLease(key, owner, ttl), renewLease(key, owner, ttl),
+//   releaseLease(key, owner), getLeaseOwner(key), close()
+const BROKERS = {
+    'redis:': RedisBroker,
+    'rediss:': RedisBroker,
+    'local:': LocalBroker
+};
+
+const createBroker = (url) => {
+    const { protocol } = new URL(url);
+    const Broker = BROKERS[protocol];
+    if (!Broker) {
+        throw new Error(`Unsupported cluster broker URL "${url}" (use redis:// or local://)`);
+    }
+    return new Broker(url);
+};
+
+module.exports = {
+    createBroker,
+    RedisBroker,
+    LocalBroker
+};
@@ -1,19 +1,248 @@
 const path = require('path');
-const express = require('express');
+const { ConfigError, loadConfig, redactConfig } = require('./loadConfig');
 
-// Configuration constants
-const CONFIG = {
-    PORT: process.env.PORT || 5000,
+// Before NODE_ENV=production the client runs on the local dev server
+const isDevelopment = (process.env.NODE_ENV || 'development') === 'development';
+
+// Events webhooks can be sent for
+const WEBHOOK_EVENTS = ['room.created', 'room.deleted', 'user.joined', 'user.left', 'text.changed'];
+
+// Default configuration constants
+const DEFAULTS = {
+    PORT: 5000,
     DATA_DIR: path.join(__dirname, '../../data'),
-    MAX_ROOM_SIZE: 5,
+    STORAGE_ADAPTER: 'json', // 'json' or 'sqlite'
+    SQLITE_FILE: null, // <DATA_DIR>/rooms.db when not set
+    STORAGE_COMPRESSION: false, // Gzip room files of the json adapter (both kinds are always read)
+    MAX_ROOM_SIZE: 5, // Participants per room - owners can set a lower capacity for their room
+    MAX_SPECTATORS: 20, // Read-only spectators per room, on top of the participants
+    MAX_WAITING_USERS: 20, // Users queued per full room (0 turns them away)
     MAX_TEXT_LENGTH: 1000000, // 1MB
-    CLIENT_URL: (() => {
-        const app = express();
-        const isDev = app.settings.env === 'development';
-        return isDev ? 'http://localhost:3000/' : 'https://sync-board-client.vercel.app/';
-    })(),
+    MAX_DOCUMENTS_PER_ROOM: 20,
+    SOCKET_COMPRESSION: true, // Per-message deflate for clients that negotiate it
+    COMPRESSION_THRESHOLD: 1024, // Messages smaller than this many bytes are sent uncompressed
+    TEXT_CHUNK_SIZE: 64 * 1024, // 64KB - chunked getText transfers send the text in pieces of this many bytes
+    ATTACHMENTS_DIR: null, // <DATA_DIR>/attachments when not set
+    MAX_ATTACHMENT_SIZE: 10 * 1024 * 1024, // 10MB per file
+    MAX_ROOM_ATTACHMENTS: 20, // Files per room
+    MAX_ROOM_ATTACHMENTS_SIZE: 50 * 1024 * 1024, // 50MB of files per room
+    ATTACHMENT_TYPES: [
+        'image/png',
+        'image/jpeg',
+        'image/gif',
+        'image/webp',
+        'application/pdf',
+        'application/zip',
+        'text/plain'
+    ],
+    DEFAULT_DOCUMENT_ID: 'main', // Document used by clients that don't name one (and by migrated rooms)
+    DEFAULT_DOCUMENT_NAME: 'Main',
+    MAX_OPERATION_HISTORY: 200, // Operations kept per document for transforming late deltas
+    MAX_REVISION_HISTORY: 50, // Text snapshots kept per document
+    REVISION_SNAPSHOT_INTERVAL: 60000, // 1 minute - edits by the same user within this window share a snapshot
+    MAX_SEARCH_QUERY_LENGTH: 200, // Admin search queries are cut to this
+    MAX_SEARCH_RESULTS: 20, // Rooms returned by one admin search
+    // Browser origins allowed to connect ('*' allows any)
+    CORS_ORIGINS: isDevelopment ? ['http://localhost:3000'] : ['https://sync-board-client.vercel.app'],
+    API_BODY_LIMIT: '5mb', // JSON body limit for the HTTP API (text is capped separately)
+    MAX_BACKUP_SIZE: 100 * 1024 * 1024, // 100MB - largest backup the restore endpoint accepts
+    ADMIN_TOKEN: null, // Admin events are disabled when not set
+    SESSION_SECRET: null, // Signs session tokens; a random key kept in <DATA_DIR>/session.key when not set
+    PERSIST_INTERVAL: 2000, // 2 seconds - room changes are written at most this often
+    ROOM_TTL: 30 * 24 * 60 * 60 * 1000, // 30 days - idle rooms expire after this
+    ROOM_TTL_MIN: 60 * 60 * 1000, // 1 hour - shortest expiry a room creator can pick
+    ROOM_TTL_MAX: 365 * 24 * 60 * 60 * 1000, // 1 year - longest expiry a room creator can pick
+    ROOM_EXPIRY_ACTION: 'delete', // 'delete', 'archive' or 'none'
+    ROOM_SWEEP_INTERVAL: 60 * 60 * 1000, // 1 hour
+    CLUSTER_BROKER_URL: null, // redis://... or local://...; unset runs a single instance
+    CLUSTER_CHANNEL_PREFIX: 'syncboard',
+    CLUSTER_LEASE_TTL: 10000, // 10 seconds - a crashed instance's rooms move after this
+    CLUSTER_HEARTBEAT_INTERVAL: 3000, // 3 seconds
+    CLUSTER_REQUEST_TIMEOUT: 5000, // 5 seconds
+    // Token buckets per socket and event: up to `capacity` events at once, refilled at `refillPerSecond`
+    RATE_LIMITS: {
+        default: { capacity: 20, refillPerSecond: 5 },
+        init: { capacity: 5, refillPerSecond: 0.2 },
+        textChange: { capacity: 50, refillPerSecond: 20 },
+        textDelta: { capacity: 50, refillPerSecond: 20 },
+        cursor: { capacity: 60, refillPerSecond: 30 },
+        initText: { capacity: 10, refillPerSecond: 1 },
+        getData: { capacity: 5, refillPerSecond: 0.5 },
+        searchRooms: { capacity: 5, refillPerSecond: 0.5 },
+        deleteData: { capacity: 2, refillPerSecond: 0.1 },
+        uploadAttachment: { capacity: 5, refillPerSecond: 0.1 } // HTTP uploads, per IP
+    },
+    RATE_LIMIT_IP_FACTOR: 10, // Per-IP buckets are this many times the per-socket limits
+    RATE_LIMIT_MAX_VIOLATIONS: 20, // Sockets exceeding limits this often within the window are disconnected
+    RATE_LIMIT_VIOLATION_WINDOW: 10000, // 10 seconds
+    WEBHOOK_URLS: [], // Receivers of room events; webhooks are off when empty
+    WEBHOOK_SECRET: null, // Signs every payload, required with WEBHOOK_URLS
+    WEBHOOK_EVENTS, // Events sent to the receivers
+    WEBHOOK_TEXT_DEBOUNCE: 10000, // 10 seconds - text changes within this window share one event
+    WEBHOOK_MAX_ATTEMPTS: 5, // Deliveries per event and URL, including the first
+    WEBHOOK_RETRY_DELAY: 1000, // 1 second before the first retry, doubling after each
+    WEBHOOK_TIMEOUT: 3000, // 3 seconds - receivers not answering in time count as failed
+    MAX_ROOMS_PER_IP: 10, // Rooms one IP may create within ROOM_CREATION_WINDOW
+    ROOM_CREATION_WINDOW: 60 * 60 * 1000, // 1 hour
+    TRUST_PROXY: false, // Take client IPs from X-Forwarded-For
+    LOG_LEVEL: 'info', // 'debug', 'info', 'warn' or 'error'
+    LOG_FORMAT: 'json', // 'json' lines or 'pretty' ([time] LEVEL: message)
+    LOG_TIMEZONE: 'Asia/Kolkata', // IANA timezone for log timestamps
+    LOG_DIR: path.join(__dirname, '../../logs'),
+    LOG_MAX_SIZE: 10 * 1024 * 1024, // 10MB - server.log is rotated to server.log.1 past this
+    LOG_MAX_FILES: 5, // Rotated files kept
+    LOG_FLUSH_INTERVAL: 1000, // 1 second - buffered log lines are written at least this often
     DISCONNECT_GRACE_PERIOD: 5000, // 5 seconds
     INIT_THROTTLE_TIME: 1000 // 1 second
 };
 
+const isTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// { event: { capacity, refillPerSecond } }, buckets must hold at least one event and refill
+const validateRateLimits = (limits) => {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return 'must be an object of limits per event';
+    }
+    const invalid = Object.entries(limits).find(([, limit]) => !(
+        Number.isInteger(limit?.capacity) && limit.capacity >= 1 &&
+        typeof limit.refillPerSecond === 'number' && limit.refillPerSecond > 0
+    ));
+    return invalid ? `entry "${invalid[0]}" needs an integer capacity of at least 1 and a refillPerSecond above 0` : null;
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Settings that env vars of the same name and the config file (CONFIG_FILE) may override.
+// Secret settings are redacted in the admin config endpoint.
+const SETTINGS = {
+    PORT: { type: 'integer', min: 0, max: 65535 },
+    DATA_DIR: { type: 'path' },
+    STORAGE_ADAPTER: { type: 'string', values: ['json', 'sqlite'] },
+    SQLITE_FILE: { type: 'path' },
+    STORAGE_COMPRESSION: { type: 'boolean' },
+    MAX_ROOM_SIZE: { type: 'integer', min: 1, max: 1000 },
+    MAX_SPECTATORS: { type: 'integer', min: 0, max: 10000 },
+    MAX_WAITING_USERS: { type: 'integer', min: 0, max: 10000 },
+    MAX_TEXT_LENGTH: { type: 'integer', min: 1, max: 50000000 },
+    MAX_DOCUMENTS_PER_ROOM: { type: 'integer', min: 1, max: 1000 },
+    MAX_SEARCH_QUERY_LENGTH: { type: 'integer', min: 1, max: 10000 },
+    MAX_SEARCH_RESULTS: { type: 'integer', min: 1, max: 1000 },
+    SOCKET_COMPRESSION: { type: 'boolean' },
+    COMPRESSION_THRESHOLD: { type: 'integer', min: 0 },
+    TEXT_CHUNK_SIZE: { type: 'integer', min: 256, max: 10 * 1024 * 1024 },
+    ATTACHMENTS_DIR: { type: 'path' },
+    MAX_ATTACHMENT_SIZE: { type: 'integer', min: 1 },
+    MAX_ROOM_ATTACHMENTS: { type: 'integer', min: 0, max: 10000 },
+    MAX_ROOM_ATTACHMENTS_SIZE: { type: 'integer', min: 0 },
+    ATTACHMENT_TYPES: { type: 'list' },
+    CORS_ORIGINS: {
+        type: 'list',
+        validate: (origins) => (origins.length === 0 ? 'must list at least one origin' : null)
+    },
+    API_BODY_LIMIT: { type: 'string', validate: (limit) => (/^\d+(b|kb|mb)?$/i.test(limit) ? null : 'must be a size like 5mb') },
+    MAX_BACKUP_SIZE: { type: 'integer', min: 1024 },
+    ADMIN_TOKEN: { type: 'string', secret: true },
+    SESSION_SECRET: {
+        type: 'string',
+        secret: true,
+        validate: (secret) => (secret.length >= 32 ? null : 'must be at least 32 characters')
+    },
+    PERSIST_INTERVAL: { type: 'integer', min: 0, max: MINUTE },
+    ROOM_TTL: { type: 'integer', min: MINUTE },
+    ROOM_TTL_MIN: { type: 'integer', min: MINUTE },
+    ROOM_TTL_MAX: { type: 'integer', min: MINUTE },
+    ROOM_EXPIRY_ACTION: { type: 'string', values: ['delete', 'archive', 'none'] },
+    ROOM_SWEEP_INTERVAL: { type: 'integer', min: 1000, max: DAY },
+    CLUSTER_BROKER_URL: { type: 'string', secret: true },
+    RATE_LIMITS: { type: 'json', merge: true, validate: validateRateLimits },
+    RATE_LIMIT_IP_FACTOR: { type: 'number', min: 1, max: 1000 },
+    RATE_LIMIT_MAX_VIOLATIONS: { type: 'integer', min: 1 },
+    RATE_LIMIT_VIOLATION_WINDOW: { type: 'integer', min: 1000, max: 10 * MINUTE },
+    WEBHOOK_URLS: {
+        type: 'list',
+        secret: true,
+        validate: (urls) => (urls.every(isHttpUrl) ? null : 'must only list http(s) URLs')
+    },
+    WEBHOOK_SECRET: { type: 'string', secret: true },
+    WEBHOOK_EVENTS: {
+        type: 'list',
+        validate: (events) => (events.every(event => WEBHOOK_EVENTS.includes(event)) ? null : `must only list ${WEBHOOK_EVENTS.join(', ')}`)
+    },
+    WEBHOOK_TEXT_DEBOUNCE: { type: 'integer', min: 0, max: 10 * MINUTE },
+    WEBHOOK_MAX_ATTEMPTS: { type: 'integer', min: 1, max: 20 },
+    WEBHOOK_RETRY_DELAY: { type: 'integer', min: 0, max: 10 * MINUTE },
+    WEBHOOK_TIMEOUT: { type: 'integer', min: 100, max: MINUTE },
+    MAX_ROOMS_PER_IP: { type: 'integer', min: 1 },
+    ROOM_CREATION_WINDOW: { type: 'integer', min: 1000, max: 7 * DAY },
+    TRUST_PROXY: { type: 'boolean' },
+    LOG_LEVEL: { type: 'string', values: ['debug', 'info', 'warn', 'error'] },
+    LOG_FORMAT: { type: 'string', values: ['json', 'pretty'] },
+    LOG_TIMEZONE: { type: 'string', validate: (timeZone) => (isTimeZone(timeZone) ? null : 'must be an IANA timezone') },
+    LOG_DIR: { type: 'path' },
+    LOG_MAX_SIZE: { type: 'integer', min: 1024 },
+    LOG_MAX_FILES: { type: 'integer', min: 0, max: 100 },
+    DISCONNECT_GRACE_PERIOD: { type: 'integer', min: 0, max: 10 * MINUTE },
+    INIT_THROTTLE_TIME: { type: 'integer', min: 0, max: MINUTE }
+};
+
+// Checks that involve more than one setting
+const validateConfig = (config) => {
+    const problems = [];
+    if (config.MAX_ATTACHMENT_SIZE > config.MAX_ROOM_ATTACHMENTS_SIZE && config.MAX_ROOM_ATTACHMENTS > 0) {
+        problems.push('MAX_ATTACHMENT_SIZE must not exceed MAX_ROOM_ATTACHMENTS_SIZE');
+    }
+    if (config.ROOM_TTL_MIN > config.ROOM_TTL_MAX) {
+        problems.push('ROOM_TTL_MIN must not exceed ROOM_TTL_MAX');
+    }
+    // Rooms move between instances, which must all accept the tokens of their owners and editors
+    if (config.CLUSTER_BROKER_URL && !config.SESSION_SECRET) {
+        problems.push('SESSION_SECRET must be set when CLUSTER_BROKER_URL is');
+    }
+    if (config.WEBHOOK_URLS.length > 0 && !config.WEBHOOK_SECRET) {
+        problems.push('WEBHOOK_SECRET must be set when WEBHOOK_URLS is');
+    }
+    return problems;
+};
+
+let loaded;
+try {
+    loaded = loadConfig(DEFAULTS, SETTINGS, { validate: validateConfig });
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+}
+
+const CONFIG = loaded.config;
+CONFIG.SQLITE_FILE = CONFIG.SQLITE_FILE || path.join(CONFIG.DATA_DIR, 'rooms.db');
+CONFIG.ATTACHMENTS_DIR = CONFIG.ATTACHMENTS_DIR || path.join(CONFIG.DATA_DIR, 'attachments');
+// Origins are compared with the browser's Origin header, which has no trailing slash
+CONFIG.CORS_ORIGINS = CONFIG.CORS_ORIGINS.map(origin => origin.replace(/\/+$/, ''));
+
+// Effective config for admins, with secrets redacted and where each setting came from.
+// Not enumerable, so it never shows up when CONFIG itself is copied or serialized.
+Object.defineProperty(CONFIG, 'getEffectiveConfig', {
+    value: () => ({
+        config: redactConfig(CONFIG, SETTINGS),
+        sources: loaded.sources,
+        configFile: loaded.file
+    })
+});
+
 module.exports = CONFIG;
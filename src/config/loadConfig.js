@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+// Thrown at startup when env vars or the config file hold invalid settings
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const REDACTED = '[redacted]';
+
+const describeRange = ({ min, max }) => {
+    if (min !== undefined && max !== undefined) return ` between ${min} and ${max}`;
+    if (min !== undefined) return ` of at least ${min}`;
+    if (max !== undefined) return ` of at most ${max}`;
+    return '';
+};
+
+// Parsers turn an env string or a config file value into the setting's type,
+// returning undefined when the value doesn't fit
+const parseNumber = (value, integer) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+    if (integer && !Number.isInteger(number)) return undefined;
+    return number;
+};
+
+const PARSERS = {
+    integer: (value) => parseNumber(value, true),
+    number: (value) => parseNumber(value, false),
+    boolean: (value) => {
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1') return true;
+        if (value === 'false' || value === '0') return false;
+        return undefined;
+    },
+    string: (value) => (typeof value === 'string' ? value : undefined),
+    // Paths are relative to the working directory
+    path: (value) => (typeof value === 'string' && value.trim() ? path.resolve(value) : undefined),
+    // "a, b, c" in env vars, an array in the config file
+    list: (value) => {
+        const items = typeof value === 'string' ? value.split(',') : value;
+        if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) return undefined;
+        return items.map(item => item.trim()).filter(Boolean);
+    },
+    // JSON text in env vars, any JSON value in the config file
+    json: (value) => {
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch {
+            return undefined;
+        }
+    }
+};
+
+const TYPE_NAMES = {
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    string: 'a string',
+    path: 'a path',
+    list: 'a list',
+    json: 'valid JSON'
+};
+
+// Check one value against its setting, returns [value] or [undefined, problem]
+const parseSetting = (name, setting, rawValue, source) => {
+    const value = PARSERS[setting.type](rawValue);
+    const got = `got ${JSON.stringify(rawValue)} from ${source}`;
+
+    if (value === undefined) {
+        const expected = setting.values ? `one of ${setting.values.join(', ')}` : TYPE_NAMES[setting.type];
+        return [undefined, `${name} must be ${expected}${describeRange(setting)} (${got})`];
+    }
+    if (setting.values && !setting.values.includes(value)) {
+        return [undefined, `${name} must be one of ${setting.values.join(', ')} (${got})`];
+    }
+    if ((setting.min !== undefined && value < setting.min) || (setting.max !== undefined && value > setting.max)) {
+        return [undefined, `${name} must be ${TYPE_NAMES[setting.type]}${describeRange(setting)} (${got})`];
+    }
+    const problem = setting.validate?.(value);
+    if (problem) {
+        return [undefined, `${name} ${problem} (${got})`];
+    }
+    return [value];
+};
+
+const readConfigFile = (file) => {
+    let contents;
+    try {
+        contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError([`Could not read config file ${file}: ${error.message}`]);
+    }
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        throw new ConfigError([`Config file ${file} must contain a JSON object`]);
+    }
+    return contents;
+};
+
+// Build the configuration from defaults, then the JSON config file (CONFIG_FILE), then env vars.
+// Only names listed in `settings` can be overridden; every override is validated, then
+// `validate` checks the result as a whole, and all problems are reported together.
+// Settings with `merge` are objects whose overrides only replace the keys they name.
+// Returns the config plus where each setting came from.
+const loadConfig = (defaults, settings, { env = process.env, validate = () => [] } = {}) => {
+    const config = { ...defaults };
+    const sources = {};
+    const problems = [];
+
+    const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : null;
+    const fileValues = file ? readConfigFile(file) : {};
+
+    Object.keys(fileValues).forEach(name => {
+        if (!settings[name]) {
+            problems.push(`${name} in ${file} is not a configurable setting`);
+        }
+    });
+
+    Object.entries(settings).forEach(([name, setting]) => {
+        let rawValue;
+        let source;
+        if (env[name] !== undefined && env[name] !== '') {
+            rawValue = env[name];
+            source = 'env';
+        } else if (fileValues[name] !== undefined) {
+            rawValue = fileValues[name];
+            source = 'file';
+        } else {
+            sources[name] = 'default';
+            return;
+        }
+
+        const [value, problem] = parseSetting(name, setting, rawValue, source === 'env' ? `env ${name}` : file);
+        if (problem) {
+            problems.push(problem);
+            return;
+        }
+        config[name] = setting.merge ? { ...defaults[name], ...value } : value;
+        sources[name] = source;
+    });
+
+    if (problems.length === 0) {
+        problems.push(...validate(config));
+    }
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return { config, sources, file };
+};
+
+// Copy of the config safe to show to admins: secret settings are replaced when set
+const redactConfig = (config, settings) => {
+    const redacted = { ...config };
+    Object.entries(settings).forEach(([name, setting]) => {
+        const isSet = Array.isArray(redacted[name]) ? redacted[name].length > 0 : Boolean(redacted[name]);
+        if (setting.secret && isSet) {
+            redacted[name] = REDACTED;
+        }
+    });
+    return redacted;
+};
+
+module.exports = {
+    ConfigError,
+    loadConfig,
+    redactConfig
+};
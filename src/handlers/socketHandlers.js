@@ -1,112 +1,589 @@
 const CONFIG = require('../config/constants');
-const { sanitizeRoomId, sanitizeUserId, sanitizeText } = require('../utils/validation');
+const {
+    sanitizeRoomId,
+    sanitizeUserId,
+    sanitizeDocumentId,
+    sanitizeText,
+    sanitizeOperation,
+    sanitizePassword,
+    sanitizeDisplayName,
+    sanitizeProfile,
+    sanitizeCursor,
+    sanitizeExpiry,
+    sanitizeSearchQuery
+} = require('../utils/validation');
+const textOperation = require('../utils/textOperation');
+const { merge3 } = require('../utils/textMerge');
+const { hashPassword, verifyPassword } = require('../utils/password');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Socket room for the clients viewing a document
+const getDocumentRoom = (roomId, docId) => `${roomId}:doc:${docId}`;
+
+// Socket room for a document's clients that receive textDelta instead of full-text textChange
+const getDeltaRoom = (roomId, docId) => `${getDocumentRoom(roomId, docId)}:delta`;
+
+// Log fields identifying a socket and the room it joined
+const getLogContext = (socket) => ({ socketId: socket.id, roomId: socket.roomId, userId: socket.userId });
 
 class SocketHandlers {
-    constructor(storage) {
+    // `cluster` runs methods on the instance holding a room (callRoom) or on every
+    // instance (callAll) - in a single instance both just run locally. `webhooks` sends
+    // room events to the configured receivers.
+    constructor(storage, io, cluster, rateLimiter, webhooks) {
         this.storage = storage;
+        this.io = io;
+        this.cluster = cluster;
+        this.rateLimiter = rateLimiter;
+        this.webhooks = webhooks;
+        // roomId -> sockets waiting for a free slot in the full room, in arrival order
+        this.waitingQueues = new Map();
     }
 
-    async handleInit(socket, syncUrl, userId) {
+    // When init creates the room, options.expiresIn (ms) sets how long it is kept idle and
+    // options.encrypted makes it an end-to-end encrypted room. options.offline carries edits
+    // made while disconnected: { docId, revision, text }. options.spectator joins read-only
+    // without taking one of the room's slots. options.sessionToken is required to init as a
+    // user already in the room, or as an owner or editor who joined before. `fromQueue` is
+    // set when admitting a waiting socket.
+    async handleInit(socket, syncUrl, userId, password, profile, options, fromQueue = false) {
         try {
             const roomId = sanitizeRoomId(syncUrl);
             const cleanUserId = sanitizeUserId(userId);
 
             if (!roomId || !cleanUserId) {
+                metrics.initRejections.inc({ reason: 'invalid_id' });
                 socket.emit('error', 'Invalid room ID or user ID');
                 return;
             }
 
             // Prevent duplicate initialization for the same socket
-            if (socket.roomId && socket.userId) {
+            if ((socket.roomId && socket.userId) || socket.waitingRoomId) {
                 return;
             }
 
-            const totalUsersCount = this.storage.getUserCount(roomId);
+            // A valid session token proves the socket is this user: users already in the room
+            // (reconnecting, or in another tab) and the owner and editors, whose sessions are
+            // kept with the room, must present it to join under their user ID
+            const hasSession = this.storage.getSessionUserId(roomId, options?.sessionToken) === cleanUserId;
 
+            // Password-protected rooms ask for the password unless the token proves the user
+            // already belongs - a bare user ID, even the owner's, proves nothing
+            const passwordHash = this.storage.getRoomData(roomId)?.access?.passwordHash;
+            if (passwordHash && !hasSession) {
+                if (!password) {
+                    metrics.initRejections.inc({ reason: 'password_required' });
+                    socket.emit('error', 'Password required');
+                    return;
+                }
+                if (!await verifyPassword(password, passwordHash)) {
+                    metrics.initRejections.inc({ reason: 'wrong_password' });
+                    logger.info(`User ${cleanUserId} rejected from room ${roomId} - wrong password`, { roomId, userId: cleanUserId, socketId: socket.id });
+                    socket.emit('error', 'Invalid room password');
+                    return;
+                }
+            }
+
+            if (!hasSession && (this.storage.userExists(roomId, cleanUserId) ||
+                this.storage.hasKeptSession(roomId, cleanUserId))) {
+                metrics.initRejections.inc({ reason: 'invalid_session' });
+                logger.warn(`User ${cleanUserId} rejected from room ${roomId} - ${options?.sessionToken ? 'invalid' : 'missing'} session token`, { roomId, userId: cleanUserId, socketId: socket.id });
+                socket.emit('error', options?.sessionToken ? 'Invalid session token' : 'Session token required');
+                return;
+            }
+
+            // Existing members keep their role and their slot
             const userAlreadyExists = this.storage.userExists(roomId, cleanUserId);
+            const role = userAlreadyExists
+                ? (this.storage.isSpectator(roomId, cleanUserId) ? 'spectator' : 'participant')
+                : (options?.spectator === true ? 'spectator' : 'participant');
+
+            if (!userAlreadyExists && role === 'spectator' &&
+                this.storage.getSpectatorCount(roomId) >= CONFIG.MAX_SPECTATORS) {
+                metrics.initRejections.inc({ reason: 'spectators_full' });
+                socket.emit('error', 'Too many spectators');
+                return;
+            }
 
-            // Reject if room is full AND user is not already in the room
-            if (totalUsersCount >= CONFIG.MAX_ROOM_SIZE && !userAlreadyExists) {
-                logger.info(`User ${cleanUserId} rejected from room ${roomId} - room is full (${totalUsersCount}/${CONFIG.MAX_ROOM_SIZE} users)`);
+            // New participants past the capacity wait for a slot - the owner always gets in,
+            // once their token shows it is them
+            const participantCount = this.storage.getParticipantCount(roomId);
+            const capacity = this.storage.getRoomCapacity(roomId);
+            if (!userAlreadyExists && role === 'participant' && participantCount >= capacity &&
+                !(hasSession && this.storage.isRoomOwner(roomId, cleanUserId))) {
+                if (this.enqueueWaiting(socket, roomId, { userId: cleanUserId, password, profile, options }, fromQueue)) {
+                    logger.info(`User ${cleanUserId} waiting for room ${roomId} - room is full (${participantCount}/${capacity} users)`, { roomId, userId: cleanUserId, socketId: socket.id });
+                    return;
+                }
+                metrics.initRejections.inc({ reason: 'room_full' });
+                logger.info(`User ${cleanUserId} rejected from room ${roomId} - room and waiting queue are full (${participantCount}/${capacity} users)`, { roomId, userId: cleanUserId, socketId: socket.id });
                 socket.emit('error', 'Room is full');
                 return;
             }
 
+            if (!this.storage.getRoomData(roomId) && !this.rateLimiter.allowRoomCreation(socket.clientIp)) {
+                metrics.initRejections.inc({ reason: 'room_creation_limit' });
+                logger.warn(`Room ${roomId} not created - room creation limit reached for ${socket.clientIp}`, { roomId, userId: cleanUserId, socketId: socket.id });
+                socket.emit('error', 'Room creation limit reached');
+                return;
+            }
+
             if (!this.storage.getRoomData(roomId)) {
-                this.storage.createRoom(roomId);
+                const ttl = sanitizeExpiry(options?.expiresIn, CONFIG.ROOM_TTL_MIN, CONFIG.ROOM_TTL_MAX);
+                const encrypted = options?.encrypted === true;
+                this.storage.createRoom(roomId, cleanUserId, ttl, encrypted);
+                logger.info(`Room ${roomId} created with owner ${cleanUserId}${encrypted ? ' (encrypted)' : ''}${ttl ? ` (expires after ${ttl}ms idle)` : ''}`, { roomId, userId: cleanUserId, socketId: socket.id });
+                this.webhooks.emit('room.created', roomId, { ownerId: cleanUserId, encrypted, source: 'init' });
+            } else if (this.storage.claimRoomOwnership(roomId, cleanUserId)) {
+                // Rooms created before ownership existed go to their next joiner
+                logger.info(`User ${cleanUserId} became owner of room ${roomId}`, { roomId, userId: cleanUserId, socketId: socket.id });
             }
 
             let isNewUser = false;
             if (this.storage.userExists(roomId, cleanUserId)) {
                 this.storage.reconnectUser(roomId, cleanUserId, socket.id);
             } else {
-                this.storage.addUserToRoom(roomId, cleanUserId, socket.id);
+                this.storage.addUserToRoom(roomId, cleanUserId, socket.id, role);
                 isNewUser = true;
             }
 
-            // Join socket room for efficient broadcasting
+            if (profile) {
+                this.storage.setUserProfile(roomId, cleanUserId, sanitizeProfile(profile));
+            }
+
+            // Join socket room for efficient broadcasting, viewing the default document
+            // until initText picks another one
             socket.join(roomId);
             socket.roomId = roomId;
             socket.userId = cleanUserId;
+            this.openDocument(socket, roomId, CONFIG.DEFAULT_DOCUMENT_ID, false);
 
-            const currentUserCount = this.storage.getUserCount(roomId);
-            const maxUsers = CONFIG.MAX_ROOM_SIZE;
+            const currentUserCount = this.storage.getParticipantCount(roomId);
+            const maxUsers = this.storage.getRoomCapacity(roomId);
+            const joinedAs = role === 'spectator' ? ' as spectator' : '';
 
             if (isNewUser) {
-                logger.info(`User ${cleanUserId} joined room ${roomId} (${currentUserCount}/${maxUsers} users)`);
+                logger.info(`User ${cleanUserId} joined room ${roomId}${joinedAs} (${currentUserCount}/${maxUsers} users)`, { roomId, userId: cleanUserId, socketId: socket.id });
+                this.webhooks.emit('user.joined', roomId, { userId: cleanUserId, role, participants: currentUserCount });
             } else {
-                logger.info(`User ${cleanUserId} reconnected to room ${roomId} (${currentUserCount}/${maxUsers} users)`);
+                logger.info(`User ${cleanUserId} reconnected to room ${roomId}${joinedAs} (${currentUserCount}/${maxUsers} users)`, { roomId, userId: cleanUserId, socketId: socket.id });
             }
 
-            // Real-time backup after user joins
-            await this.storage.saveRoom(roomId);
+            // Back up after user joins
+            this.storage.scheduleSave(roomId);
 
             // Send confirmation to client that initialization is complete
-            socket.emit('initComplete', roomId, cleanUserId);
+            socket.emit('initComplete', roomId, cleanUserId, this.storage.getSessionToken(roomId, cleanUserId));
+            socket.emit('roomSettings', this.storage.getRoomSettings(roomId));
+            socket.emit('documents', this.storage.getDocuments(roomId), roomId);
+            socket.emit('attachments', this.storage.getAttachments(roomId), roomId);
+            this.broadcastPresence(roomId);
+
+            if (options?.offline) {
+                await this.reconcileOfflineEdits(socket, roomId, cleanUserId, options.offline);
+            }
 
         } catch (error) {
-            logger.error(`Error in init: ${error.message}`);
+            logger.error(`Error in init: ${error.message}`, getLogContext(socket));
             socket.emit('error', 'Connection failed');
         }
     }
 
+    // Queue a socket turned away from a full room. Sockets put back after a failed admission
+    // keep the front of the queue. Returns false when the queue is full.
+    enqueueWaiting(socket, roomId, entry, front = false) {
+        const queue = this.waitingQueues.get(roomId) || [];
+        if (!front && queue.length >= CONFIG.MAX_WAITING_USERS) {
+            return false;
+        }
+
+        if (front) {
+            queue.unshift({ ...entry, socket });
+        } else {
+            queue.push({ ...entry, socket });
+        }
+        this.waitingQueues.set(roomId, queue);
+        socket.waitingRoomId = roomId;
+        this.notifyWaiting(roomId);
+        return true;
+    }
+
+    // Drop a socket from its room's queue, e.g. when it disconnects
+    leaveWaiting(socket) {
+        const roomId = socket.waitingRoomId;
+        const queue = this.waitingQueues.get(roomId) || [];
+        const index = queue.findIndex(entry => entry.socket === socket);
+        socket.waitingRoomId = null;
+        if (index === -1) return;
+
+        queue.splice(index, 1);
+        if (queue.length === 0) {
+            this.waitingQueues.delete(roomId);
+        }
+        this.notifyWaiting(roomId);
+    }
+
+    // Tell every queued socket its 1-based position
+    notifyWaiting(roomId) {
+        const queue = this.waitingQueues.get(roomId) || [];
+        const capacity = this.storage.getRoomCapacity(roomId);
+        queue.forEach((entry, index) => {
+            entry.socket.emit('waiting', { roomId, position: index + 1, queueLength: queue.length, capacity });
+        });
+    }
+
+    // Admit queued sockets in order while the room has free slots. Admission runs the normal
+    // init checks again, so a password changed in the meantime still applies.
+    async admitWaiting(roomId) {
+        const queue = this.waitingQueues.get(roomId);
+        while (queue?.length && this.waitingQueues.get(roomId) === queue &&
+            this.storage.getParticipantCount(roomId) < this.storage.getRoomCapacity(roomId)) {
+            const entry = queue.shift();
+            entry.socket.waitingRoomId = null;
+            if (queue.length === 0) {
+                this.waitingQueues.delete(roomId);
+            }
+
+            await this.handleInit(entry.socket, roomId, entry.userId, entry.password, entry.profile, entry.options, true);
+            // Still full (someone else took the slot) - it went back to the front
+            if (entry.socket.waitingRoomId) break;
+        }
+        this.notifyWaiting(roomId);
+    }
+
+    getWaitingCount() {
+        let count = 0;
+        this.waitingQueues.forEach(queue => {
+            count += queue.length;
+        });
+        return count;
+    }
+
     // Listen to text change from client with validation and error handling
-    async handleTextChange(socket, text, syncUrl, userId) {
+    async handleTextChange(socket, text, syncUrl, userId, docId) {
         try {
-            const roomId = sanitizeRoomId(syncUrl);
-            const cleanUserId = sanitizeUserId(userId);
-            const cleanText = sanitizeText(text, CONFIG.MAX_TEXT_LENGTH);
+            // Edits are made as the socket's own user, not as whoever the event names
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+            const { roomId, userId: cleanUserId } = auth;
+
+            // Encrypted rooms get opaque ciphertext, which is rejected rather than truncated
+            const cleanText = sanitizeText(text, CONFIG.MAX_TEXT_LENGTH, { encrypted: this.storage.isRoomEncrypted(roomId) });
+            if (cleanText === null) {
+                socket.emit('error', 'Invalid encrypted text');
+                return;
+            }
+
+            if (!this.storage.canEdit(roomId, cleanUserId)) {
+                socket.emit('error', 'Room is read-only');
+                return;
+            }
+
+            const cleanDocId = this.getDocumentId(socket, roomId, docId);
+            if (!cleanDocId) return;
+
+            await this.applyTextChange(roomId, cleanDocId, cleanText, cleanUserId, socket);
+            metrics.textChanges.inc({ source: 'textChange' });
+
+        } catch (error) {
+            logger.error(`Error in textChange: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to update text');
+        }
+    }
+
+    // Replace a document's text and broadcast it - shared by textChange and the HTTP API
+    async applyTextChange(roomId, docId, text, userId, socket = null) {
+        // Update text and timestamp
+        const result = this.storage.updateRoomText(roomId, docId, text, userId);
+        this.storage.updateUserLastSeen(roomId, userId);
+
+        // Broadcast to other users viewing the document
+        this.broadcastChange(roomId, docId, text, result, userId, socket);
+
+        // Back up after text change - rapid edits are coalesced into one write
+        this.storage.scheduleSave(roomId);
+
+        return result;
+    }
+
+    // Three-way merge of a client's offline text with the changes made since its last known
+    // revision. Conflicting hunks keep the room's version and are reported in offlineMerge.
+    async reconcileOfflineEdits(socket, roomId, userId, offline) {
+        const docId = offline.docId === undefined ? CONFIG.DEFAULT_DOCUMENT_ID : sanitizeDocumentId(offline.docId);
+        const document = docId && this.storage.getDocument(roomId, docId);
+        if (!document) {
+            socket.emit('error', 'Document not found');
+            return;
+        }
+
+        if (typeof offline.text !== 'string' || !Number.isInteger(offline.revision) || offline.revision < 0) {
+            socket.emit('error', 'Invalid offline edits');
+            return;
+        }
+
+        if (!this.storage.canEdit(roomId, userId)) {
+            socket.emit('error', 'Room is read-only');
+            return;
+        }
+
+        const localText = sanitizeText(offline.text, CONFIG.MAX_TEXT_LENGTH);
+        const serverText = document.text || '';
+        // Ciphertext can't be merged, and the base may have left the history - the client
+        // gets the whole document back as one conflict to resolve itself
+        const baseText = this.storage.isRoomEncrypted(roomId)
+            ? null
+            : this.storage.getTextAtRevision(roomId, docId, offline.revision);
+
+        let result;
+        if (baseText === null) {
+            result = {
+                text: serverText,
+                conflicts: localText === serverText ? [] : [{ line: 1, base: null, local: localText, server: serverText }]
+            };
+        } else {
+            result = merge3(baseText, localText, serverText);
+        }
+
+        if (result.text !== serverText) {
+            await this.applyTextChange(roomId, docId, result.text, userId, socket);
+            metrics.textChanges.inc({ source: 'offline' });
+        }
+
+        logger.info(`Offline edits of user ${userId} merged into document ${docId} of room ${roomId} ` +
+            `(${result.conflicts.length} conflicts)`, getLogContext(socket));
+        socket.emit('offlineMerge', {
+            docId,
+            revision: this.storage.getDocument(roomId, docId).revision || 0,
+            conflicts: result.conflicts
+        });
+    }
+
+    // Apply an insert/delete operation made against a known revision
+    async handleTextDelta(socket, operation, revision, syncUrl, userId, docId) {
+        try {
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+            const { roomId, userId: cleanUserId } = auth;
+            let cleanOperation = sanitizeOperation(operation, CONFIG.MAX_TEXT_LENGTH);
+
+            if (!this.storage.canEdit(roomId, cleanUserId)) {
+                socket.emit('error', 'Room is read-only');
+                return;
+            }
+
+            if (!cleanOperation) {
+                socket.emit('error', 'Invalid operation');
+                return;
+            }
+
+            // Operations can't be transformed or applied to ciphertext
+            if (this.storage.isRoomEncrypted(roomId)) {
+                socket.emit('error', 'Encrypted rooms only accept whole-text changes');
+                return;
+            }
+
+            const cleanDocId = this.getDocumentId(socket, roomId, docId);
+            if (!cleanDocId) return;
 
-            if (!roomId || !cleanUserId || !this.storage.getRoomData(roomId)) {
-                socket.emit('error', 'Invalid room or user');
+            const document = this.storage.getDocument(roomId, cleanDocId);
+            const concurrentOperations = this.storage.getOperationsSince(roomId, cleanDocId, revision);
+            if (!concurrentOperations) {
+                // Client is too far behind to transform, send it the full text to resync
+                this.sendText(socket, roomId, cleanDocId, document);
                 return;
             }
 
-            // Verify user is in the room
-            if (!this.storage.userExists(roomId, cleanUserId)) {
-                socket.emit('error', 'User not in room');
+            // Transform against everything applied since the client's revision
+            for (const concurrentOperation of concurrentOperations) {
+                cleanOperation = textOperation.transform(cleanOperation, concurrentOperation)[0];
+            }
+
+            const resultLength = (document.text || '').length
+                - textOperation.baseLength(cleanOperation)
+                + textOperation.targetLength(cleanOperation);
+            if (resultLength > CONFIG.MAX_TEXT_LENGTH) {
+                socket.emit('error', 'Text too long');
                 return;
             }
 
-            // Update text and timestamp
-            this.storage.updateRoomText(roomId, cleanText);
+            const result = this.storage.applyOperation(roomId, cleanDocId, cleanOperation, cleanUserId);
             this.storage.updateUserLastSeen(roomId, cleanUserId);
 
-            // Broadcast to other users in the room
-            socket.to(roomId).emit('textChange', cleanText);
+            metrics.textChanges.inc({ source: 'textDelta' });
+            socket.emit('textDeltaAck', result.revision, cleanDocId);
+            this.broadcastChange(roomId, cleanDocId, document.text, result, cleanUserId, socket);
 
-            // Real-time backup after text change
-            await this.storage.saveRoom(roomId);
+            this.storage.scheduleSave(roomId);
 
         } catch (error) {
-            logger.error(`Error in textChange: ${error.message}`);
-            socket.emit('error', 'Failed to update text');
+            logger.error(`Error in textDelta: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to apply text change');
         }
     }
 
-    // Listen init text from new client and emit getText method for that client
-    handleInitText(socket, url, userId) {
+    // Send a change to the document's viewers: deltas to delta clients, full text to the others.
+    // With a socket the change is its own and it is left out of the broadcast. Every applied
+    // change comes through here, so this also records it for the text.changed webhook.
+    broadcastChange(roomId, docId, text, result, userId, socket = null) {
+        this.webhooks.textChanged(roomId, docId, userId, result.revision, text.length);
+
+        const documentRoom = getDocumentRoom(roomId, docId);
+        const deltaRoom = getDeltaRoom(roomId, docId);
+        const target = socket || this.io;
+        target.to(documentRoom).except(deltaRoom).emit('textChange', text, docId);
+        target.to(deltaRoom).emit('textDelta', result.operation, result.revision, userId, docId);
+
+        if (this.hasRecipients(documentRoom, deltaRoom, socket)) {
+            metrics.broadcastBytes.inc({ event: 'textChange' }, Buffer.byteLength(text));
+        }
+        if (this.hasRecipients(deltaRoom, null, socket)) {
+            metrics.broadcastBytes.inc({ event: 'textDelta' }, Buffer.byteLength(JSON.stringify(result.operation)));
+        }
+    }
+
+    // Whether a broadcast to `room`, leaving out the sockets in `exceptRoom` and `socket`, reaches
+    // anyone. Instances of a cluster only see their own sockets, so there it always does.
+    hasRecipients(room, exceptRoom, socket) {
+        if (CONFIG.CLUSTER_BROKER_URL) return true;
+
+        const rooms = this.io.sockets.adapter.rooms;
+        const excluded = exceptRoom ? rooms.get(exceptRoom) : null;
+        for (const socketId of rooms.get(room) || []) {
+            if (socketId !== socket?.id && !excluded?.has(socketId)) return true;
+        }
+        return false;
+    }
+
+    // Document addressed by an event - the default document when none is given
+    getDocumentId(socket, roomId, docId) {
+        const cleanDocId = docId === undefined || docId === null
+            ? CONFIG.DEFAULT_DOCUMENT_ID
+            : sanitizeDocumentId(docId);
+
+        if (!cleanDocId || !this.storage.getDocument(roomId, cleanDocId)) {
+            socket.emit('error', 'Document not found');
+            return null;
+        }
+        return cleanDocId;
+    }
+
+    // Switch the socket to receiving changes of one document
+    openDocument(socket, roomId, docId, deltas) {
+        if (socket.docId) {
+            socket.leave(getDocumentRoom(roomId, socket.docId));
+            socket.leave(getDeltaRoom(roomId, socket.docId));
+        }
+
+        socket.join(getDocumentRoom(roomId, docId));
+        if (deltas) {
+            socket.join(getDeltaRoom(roomId, docId));
+        }
+        socket.docId = docId;
+        socket.deltas = deltas;
+    }
+
+    // Resolve the room for events that require an initialized socket in that room
+    getAuthorizedRoom(socket, syncUrl, userId) {
+        const roomId = sanitizeRoomId(syncUrl);
+        const cleanUserId = sanitizeUserId(userId);
+
+        if (!roomId || !cleanUserId || !this.storage.getRoomData(roomId)) {
+            socket.emit('error', 'Invalid room or user');
+            return null;
+        }
+
+        if (socket.roomId !== roomId || socket.userId !== cleanUserId) {
+            socket.emit('error', 'User not authorized for this room');
+            return null;
+        }
+
+        // The socket's user may have been removed since, e.g. after its other tab closed
+        if (!this.storage.userExists(roomId, cleanUserId)) {
+            socket.emit('error', 'User not in room');
+            return null;
+        }
+
+        return { roomId, userId: cleanUserId };
+    }
+
+    // List a document's saved revisions (without their text)
+    handleGetRevisions(socket, syncUrl, userId, docId) {
+        try {
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            const cleanDocId = this.getDocumentId(socket, auth.roomId, docId);
+            if (!cleanDocId) return;
+
+            socket.emit('revisions', this.storage.getRevisions(auth.roomId, cleanDocId), auth.roomId, cleanDocId);
+        } catch (error) {
+            logger.error(`Error in getRevisions: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to get revisions');
+        }
+    }
+
+    // Send the text of a single saved revision
+    handleGetRevision(socket, revision, syncUrl, userId, docId) {
+        try {
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            const cleanDocId = this.getDocumentId(socket, auth.roomId, docId);
+            if (!cleanDocId) return;
+
+            const entry = this.storage.getRevision(auth.roomId, cleanDocId, revision);
+            if (!entry) {
+                socket.emit('error', 'Revision not found');
+                return;
+            }
+
+            socket.emit('revisionText', entry.text, entry.revision, auth.roomId, cleanDocId);
+        } catch (error) {
+            logger.error(`Error in getRevision: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to get revision');
+        }
+    }
+
+    // Restore an older revision and broadcast it like a normal change
+    async handleRestoreRevision(socket, revision, syncUrl, userId, docId) {
+        try {
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            if (!this.storage.canEdit(auth.roomId, auth.userId)) {
+                socket.emit('error', 'Room is read-only');
+                return;
+            }
+
+            const cleanDocId = this.getDocumentId(socket, auth.roomId, docId);
+            if (!cleanDocId) return;
+
+            const result = this.storage.restoreRevision(auth.roomId, cleanDocId, revision, auth.userId);
+            if (!result) {
+                socket.emit('error', 'Revision not found');
+                return;
+            }
+
+            this.storage.updateUserLastSeen(auth.roomId, auth.userId);
+            metrics.textChanges.inc({ source: 'restore' });
+            logger.info(`User ${auth.userId} restored document ${cleanDocId} of room ${auth.roomId} to revision ${revision}`, getLogContext(socket));
+
+            const document = this.storage.getDocument(auth.roomId, cleanDocId);
+            this.broadcastChange(auth.roomId, cleanDocId, document.text, result, auth.userId);
+
+            this.storage.scheduleSave(auth.roomId);
+
+        } catch (error) {
+            logger.error(`Error in restoreRevision: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to restore revision');
+        }
+    }
+
+    // Listen init text from new client and emit getText method for that client.
+    // options.docId picks the document to view (default document otherwise), and
+    // options.chunked receives large texts as getTextChunk events (see sendText).
+    handleInitText(socket, url, userId, options = {}) {
         try {
             const roomId = sanitizeRoomId(url);
             const cleanUserId = sanitizeUserId(userId);
@@ -122,93 +599,524 @@ class SocketHandlers {
                 return;
             }
 
-            const roomData = this.storage.getRoomData(roomId);
-            if (roomData) {
-                // Send the room's text to authorized user
-                socket.emit('getText', roomData.text || '', roomId);
-            } else {
+            if (!this.storage.getRoomData(roomId)) {
                 // Room doesn't exist yet, send empty text
-                socket.emit('getText', '', roomId);
+                socket.emit('getText', '', roomId, 0, CONFIG.DEFAULT_DOCUMENT_ID);
+                return;
             }
+
+            const cleanDocId = this.getDocumentId(socket, roomId, options?.docId);
+            if (!cleanDocId) return;
+
+            // Delta clients get textDelta events from now on instead of textChange (not in encrypted rooms)
+            const deltas = Boolean(options?.deltas) && !this.storage.isRoomEncrypted(roomId);
+            this.openDocument(socket, roomId, cleanDocId, deltas);
+            socket.chunkedText = options?.chunked === true;
+
+            // Send the document's text to authorized user
+            this.sendText(socket, roomId, cleanDocId, this.storage.getDocument(roomId, cleanDocId));
         } catch (error) {
-            logger.error(`Error in initText: ${error.message}`);
+            logger.error(`Error in initText: ${error.message}`, getLogContext(socket));
             socket.emit('error', 'Failed to get text');
         }
     }
 
+    // Send a document's text with getText, or for sockets that asked for chunked transfers
+    // and texts over TEXT_CHUNK_SIZE bytes, as getTextChunk events carrying the UTF-8 bytes
+    // in order. Clients join the chunks and can show progress from index/count meanwhile.
+    sendText(socket, roomId, docId, document) {
+        const text = document.text || '';
+        const revision = document.revision || 0;
+        const size = Buffer.byteLength(text);
+
+        if (!socket.chunkedText || size <= CONFIG.TEXT_CHUNK_SIZE) {
+            socket.emit('getText', text, roomId, revision, docId);
+            return;
+        }
+
+        // Emitted back to back, so no change of the document arrives in between
+        const bytes = Buffer.from(text);
+        const count = Math.ceil(size / CONFIG.TEXT_CHUNK_SIZE);
+        for (let index = 0; index < count; index++) {
+            const chunk = bytes.subarray(index * CONFIG.TEXT_CHUNK_SIZE, (index + 1) * CONFIG.TEXT_CHUNK_SIZE);
+            socket.emit('getTextChunk', { roomId, docId, revision, index, count, size }, chunk);
+        }
+        logger.debug(`Sent ${size} bytes of ${roomId}/${docId} in ${count} chunks`, getLogContext(socket));
+    }
+
+    // Send the room's document list to everyone in it
+    broadcastDocuments(roomId) {
+        this.io.to(roomId).emit('documents', this.storage.getDocuments(roomId), roomId);
+    }
+
+    handleGetDocuments(socket, syncUrl, userId) {
+        try {
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            socket.emit('documents', this.storage.getDocuments(auth.roomId), auth.roomId);
+        } catch (error) {
+            logger.error(`Error in getDocuments: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to get documents');
+        }
+    }
+
+    // Announce an uploaded file to everyone in the room
+    broadcastAttachment(roomId, attachment) {
+        this.io.to(roomId).emit('attachmentAdded', attachment, roomId);
+    }
+
+    handleGetAttachments(socket, syncUrl, userId) {
+        try {
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            socket.emit('attachments', this.storage.getAttachments(auth.roomId), auth.roomId);
+        } catch (error) {
+            logger.error(`Error in getAttachments: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to get attachments');
+        }
+    }
+
+    // Resolve the room for events that change its documents (editors only in read-only rooms)
+    getEditableRoom(socket, syncUrl, userId) {
+        const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+        if (!auth) return null;
+
+        if (!this.storage.canEdit(auth.roomId, auth.userId)) {
+            socket.emit('error', 'Room is read-only');
+            return null;
+        }
+        return auth;
+    }
+
+    handleCreateDocument(socket, name, syncUrl, userId) {
+        try {
+            const auth = this.getEditableRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            const cleanName = sanitizeDisplayName(name);
+            if (!cleanName) {
+                socket.emit('error', 'Invalid document name');
+                return;
+            }
+
+            const docId = this.storage.createDocument(auth.roomId, cleanName);
+            if (!docId) {
+                socket.emit('error', `Rooms can have at most ${CONFIG.MAX_DOCUMENTS_PER_ROOM} documents`);
+                return;
+            }
+
+            logger.info(`User ${auth.userId} created document ${docId} in room ${auth.roomId}`, getLogContext(socket));
+            socket.emit('documentCreated', docId, auth.roomId);
+            this.broadcastDocuments(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in createDocument: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to create document');
+        }
+    }
+
+    handleRenameDocument(socket, docId, name, syncUrl, userId) {
+        try {
+            const auth = this.getEditableRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            const cleanDocId = this.getDocumentId(socket, auth.roomId, docId);
+            if (!cleanDocId) return;
+
+            const cleanName = sanitizeDisplayName(name);
+            if (!cleanName) {
+                socket.emit('error', 'Invalid document name');
+                return;
+            }
+
+            this.storage.renameDocument(auth.roomId, cleanDocId, cleanName);
+            this.broadcastDocuments(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in renameDocument: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to rename document');
+        }
+    }
+
+    handleDeleteDocument(socket, docId, syncUrl, userId) {
+        try {
+            const auth = this.getEditableRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            const cleanDocId = this.getDocumentId(socket, auth.roomId, docId);
+            if (!cleanDocId) return;
+
+            if (!this.storage.deleteDocument(auth.roomId, cleanDocId)) {
+                socket.emit('error', 'The default document cannot be deleted');
+                return;
+            }
+
+            logger.info(`User ${auth.userId} deleted document ${cleanDocId} from room ${auth.roomId}`, getLogContext(socket));
+            this.broadcastDocuments(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in deleteDocument: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to delete document');
+        }
+    }
+
+    // Send the room's member list to everyone in it
+    broadcastPresence(roomId) {
+        if (!this.storage.getRoomData(roomId)) return;
+        this.io.to(roomId).emit('presence', this.storage.getRoomMembers(roomId), roomId);
+    }
+
+    // Change the display name and/or color shown to other members
+    handleSetProfile(socket, profile, syncUrl, userId) {
+        try {
+            const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            this.storage.setUserProfile(auth.roomId, auth.userId, sanitizeProfile(profile));
+            this.broadcastPresence(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in setProfile: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to update profile');
+        }
+    }
+
+    // Relay a caret/selection position to the document's other viewers (not persisted)
+    handleCursor(socket, position, syncUrl, userId, docId) {
+        try {
+            const roomId = sanitizeRoomId(syncUrl);
+            const cleanUserId = sanitizeUserId(userId);
+            if (!roomId || socket.roomId !== roomId || socket.userId !== cleanUserId) {
+                return;
+            }
+
+            const cleanPosition = sanitizeCursor(position, CONFIG.MAX_TEXT_LENGTH);
+            const cleanDocId = docId === undefined || docId === null ? CONFIG.DEFAULT_DOCUMENT_ID : sanitizeDocumentId(docId);
+            if (!cleanPosition || !cleanDocId || !this.storage.getDocument(roomId, cleanDocId)) return;
+
+            // Volatile: a dropped cursor update is replaced by the next one anyway
+            socket.volatile.to(getDocumentRoom(roomId, cleanDocId)).emit('cursor', cleanUserId, cleanPosition, cleanDocId);
+        } catch (error) {
+            logger.error(`Error in cursor: ${error.message}`, getLogContext(socket));
+        }
+    }
+
+    // Settings events are only accepted from the room owner
+    getOwnedRoom(socket, syncUrl, userId) {
+        const auth = this.getAuthorizedRoom(socket, syncUrl, userId);
+        if (!auth) return null;
+
+        if (!this.storage.isRoomOwner(auth.roomId, auth.userId)) {
+            socket.emit('error', 'Only the room owner can change settings');
+            return null;
+        }
+
+        return auth;
+    }
+
+    // Tell everyone in the room about changed access settings
+    broadcastRoomSettings(roomId) {
+        this.io.to(roomId).emit('roomSettings', this.storage.getRoomSettings(roomId));
+    }
+
+    // Set or clear (empty password) the room password
+    async handleSetRoomPassword(socket, password, syncUrl, userId) {
+        try {
+            const auth = this.getOwnedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            let passwordHash = null;
+            if (password) {
+                const cleanPassword = sanitizePassword(password);
+                if (!cleanPassword) {
+                    socket.emit('error', 'Invalid password');
+                    return;
+                }
+                passwordHash = await hashPassword(cleanPassword);
+            }
+
+            this.storage.setRoomPassword(auth.roomId, passwordHash);
+            logger.info(`Room ${auth.roomId} password ${passwordHash ? 'set' : 'removed'} by owner ${auth.userId}`, getLogContext(socket));
+
+            this.broadcastRoomSettings(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in setRoomPassword: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to update room settings');
+        }
+    }
+
+    // Toggle read-only mode - only the owner and editors can change the text
+    async handleSetReadOnly(socket, readOnly, syncUrl, userId) {
+        try {
+            const auth = this.getOwnedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            this.storage.setRoomReadOnly(auth.roomId, Boolean(readOnly));
+            logger.info(`Room ${auth.roomId} read-only ${readOnly ? 'enabled' : 'disabled'} by owner ${auth.userId}`, getLogContext(socket));
+
+            this.broadcastRoomSettings(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in setReadOnly: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to update room settings');
+        }
+    }
+
+    // Replace the list of users allowed to edit a read-only room
+    async handleSetEditors(socket, editors, syncUrl, userId) {
+        try {
+            const auth = this.getOwnedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            if (!Array.isArray(editors)) {
+                socket.emit('error', 'Editors must be a list of user IDs');
+                return;
+            }
+
+            const cleanEditors = [...new Set(editors.map(sanitizeUserId).filter(Boolean))];
+            this.storage.setRoomEditors(auth.roomId, cleanEditors);
+            logger.info(`Room ${auth.roomId} editors updated by owner ${auth.userId} (${cleanEditors.length} editors)`, getLogContext(socket));
+
+            this.broadcastRoomSettings(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in setEditors: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to update room settings');
+        }
+    }
+
+    // Limit the participants in the room, up to CONFIG.MAX_ROOM_SIZE (null or 0 for the maximum).
+    // Lowering it never removes anyone; raising it admits waiting users.
+    async handleSetCapacity(socket, capacity, syncUrl, userId) {
+        try {
+            const auth = this.getOwnedRoom(socket, syncUrl, userId);
+            if (!auth) return;
+
+            const resetCapacity = capacity === null || capacity === 0;
+            if (!resetCapacity && (!Number.isInteger(capacity) || capacity < 1 || capacity > CONFIG.MAX_ROOM_SIZE)) {
+                socket.emit('error', `Capacity must be between 1 and ${CONFIG.MAX_ROOM_SIZE}`);
+                return;
+            }
+
+            this.storage.setRoomCapacity(auth.roomId, resetCapacity ? null : capacity);
+            logger.info(`Room ${auth.roomId} capacity set to ${this.storage.getRoomCapacity(auth.roomId)} by owner ${auth.userId}`, getLogContext(socket));
+
+            this.broadcastRoomSettings(auth.roomId);
+            this.storage.scheduleSave(auth.roomId);
+            await this.admitWaiting(auth.roomId);
+        } catch (error) {
+            logger.error(`Error in setCapacity: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to update room settings');
+        }
+    }
+
+    // Admin events require a socket authenticated during the handshake
+    requireAdmin(socket, event) {
+        if (socket.isAdmin) {
+            return true;
+        }
+        logger.warn(`Unauthorized ${event} attempt from socket ${socket.id}`, getLogContext(socket));
+        socket.emit('error', 'Unauthorized');
+        return false;
+    }
+
     // Send server data to admin with room statistics
-    handleGetData(socket) {
+    async handleGetData(socket) {
         try {
-            const data = this.storage.getAllRooms();
+            if (!this.requireAdmin(socket, 'getData')) return;
+
+            const data = (await this.cluster.callAll('getAllRooms')).flat();
             socket.emit('dataResponse', data);
         } catch (error) {
-            logger.error(`Error in getData: ${error.message}`);
+            logger.error(`Error in getData: ${error.message}`, getLogContext(socket));
             socket.emit('error', 'Failed to get data');
         }
     }
 
+    // Rooms whose text matches the query on every instance, best first. Null for a query
+    // without words. Shared by the searchRooms event and GET /api/search.
+    async searchRooms(query, limit = CONFIG.MAX_SEARCH_RESULTS) {
+        const cleanQuery = sanitizeSearchQuery(query, CONFIG.MAX_SEARCH_QUERY_LENGTH);
+        if (!cleanQuery) return null;
+
+        const cleanLimit = Math.min(Math.max(Number.parseInt(limit, 10) || CONFIG.MAX_SEARCH_RESULTS, 1), CONFIG.MAX_SEARCH_RESULTS);
+        return (await this.cluster.callAll('searchRooms', cleanQuery, cleanLimit))
+            .flat()
+            .sort((a, b) => b.score - a.score || a.roomId.localeCompare(b.roomId))
+            .slice(0, cleanLimit);
+    }
+
+    // Search room text for admin
+    async handleSearchRooms(socket, query) {
+        try {
+            if (!this.requireAdmin(socket, 'searchRooms')) return;
+
+            const results = await this.searchRooms(query);
+            if (!results) {
+                socket.emit('error', 'Search query required');
+                return;
+            }
+            socket.emit('searchResults', results, query);
+        } catch (error) {
+            logger.error(`Error in searchRooms: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to search rooms');
+        }
+    }
+
     // Delete data on admin's request with confirmation
-    handleDeleteData(socket) {
+    async handleDeleteData(socket) {
         try {
+            if (!this.requireAdmin(socket, 'deleteData')) return;
+
             // For security, only allow if there are no active users
-            if (this.storage.hasActiveUsers()) {
+            if ((await this.cluster.callAll('hasActiveUsers')).some(Boolean)) {
                 socket.emit('error', 'Cannot delete data while users are active');
                 return;
             }
 
-            // Clear all data
-            Object.keys(this.storage.data).forEach(roomId => {
-                this.storage.deleteRoom(roomId);
-            });
+            // Clear all data - rooms in memory anywhere plus rooms only in storage
+            const roomIds = new Set([
+                ...(await this.cluster.callAll('listRoomIds')).flat(),
+                ...await this.storage.listStoredRoomIds()
+            ]);
+            for (const roomId of roomIds) {
+                await this.cluster.callRoom(roomId, 'deleteRoom');
+            }
 
+            logger.info('All rooms deleted by admin');
             socket.emit('dataDeleted', 'All data deleted successfully');
         } catch (error) {
-            logger.error(`Error in deleteData: ${error.message}`);
+            logger.error(`Error in deleteData: ${error.message}`, getLogContext(socket));
             socket.emit('error', 'Failed to delete data');
         }
     }
 
+    // Send full details of a single room to admin
+    handleGetRoom(socket, roomId) {
+        try {
+            if (!this.requireAdmin(socket, 'getRoom')) return;
+
+            const cleanRoomId = sanitizeRoomId(roomId);
+            const details = cleanRoomId && this.storage.getRoomDetails(cleanRoomId);
+            if (!details) {
+                socket.emit('error', 'Room not found');
+                return;
+            }
+
+            socket.emit('roomResponse', details);
+        } catch (error) {
+            logger.error(`Error in getRoom: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to get room');
+        }
+    }
+
+    // Delete a single room on admin's request
+    async handleDeleteRoom(socket, roomId) {
+        try {
+            if (!this.requireAdmin(socket, 'deleteRoom')) return;
+
+            const cleanRoomId = sanitizeRoomId(roomId);
+            if (!cleanRoomId || !this.storage.getRoomData(cleanRoomId)) {
+                socket.emit('error', 'Room not found');
+                return;
+            }
+
+            // Same rule as deleteData, scoped to the room
+            if (this.storage.hasActiveUsers(cleanRoomId)) {
+                socket.emit('error', 'Cannot delete room while users are active');
+                return;
+            }
+
+            await this.storage.deleteRoom(cleanRoomId);
+            logger.info(`Room ${cleanRoomId} deleted by admin`, { roomId: cleanRoomId, socketId: socket.id });
+            this.webhooks.emit('room.deleted', cleanRoomId, { reason: 'admin' });
+            socket.emit('roomDeleted', cleanRoomId);
+        } catch (error) {
+            logger.error(`Error in deleteRoom: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to delete room');
+        }
+    }
+
+    // Pin a room so it never expires, or unpin it
+    handlePinRoom(socket, roomId, pinned) {
+        try {
+            if (!this.requireAdmin(socket, 'pinRoom')) return;
+
+            const cleanRoomId = sanitizeRoomId(roomId);
+            if (!cleanRoomId || !this.storage.getRoomData(cleanRoomId)) {
+                socket.emit('error', 'Room not found');
+                return;
+            }
+
+            this.storage.setRoomPinned(cleanRoomId, Boolean(pinned));
+            logger.info(`Room ${cleanRoomId} ${pinned ? 'pinned' : 'unpinned'} by admin`, { roomId: cleanRoomId, socketId: socket.id });
+
+            this.broadcastRoomSettings(cleanRoomId);
+            this.storage.scheduleSave(cleanRoomId);
+            socket.emit('roomPinned', cleanRoomId, Boolean(pinned));
+        } catch (error) {
+            logger.error(`Error in pinRoom: ${error.message}`, getLogContext(socket));
+            socket.emit('error', 'Failed to pin room');
+        }
+    }
+
     // Handle user disconnection with proper cleanup
     async handleDisconnect(socket) {
         try {
             const roomId = socket.roomId;
             const userId = socket.userId;
 
+            if (socket.waitingRoomId) {
+                this.leaveWaiting(socket);
+                return;
+            }
+
             if (!roomId || !userId || !this.storage.getRoomData(roomId)) {
                 return;
             }
 
-            const userData = this.storage.disconnectUser(roomId, userId);
+            // Only the user's current socket counts - closing an older tab leaves them connected
+            const userData = this.storage.disconnectUser(roomId, userId, socket.id);
             if (userData) {
                 clearTimeout(userData.timeoutId);
-
-                const maxUsers = CONFIG.MAX_ROOM_SIZE;
+                this.broadcastPresence(roomId);
 
                 // Set cleanup timeout - only remove user if they don't reconnect
                 const timeoutId = setTimeout(async () => {
                     try {
                         // Always delete user on disconnect (they closed tab or switched to local mode)
-                        const newTotalCount = this.storage.removeUser(roomId, userId);
+                        this.storage.removeUser(roomId, userId);
+
+                        logger.info(`User ${userId} removed from room ${roomId} after grace period (${this.storage.getParticipantCount(roomId)}/${this.storage.getRoomCapacity(roomId)} users remaining)`, { roomId, userId });
+                        this.webhooks.emit('user.left', roomId, { userId, participants: this.storage.getParticipantCount(roomId) });
 
-                        logger.info(`User ${userId} removed from room ${roomId} after grace period (${newTotalCount}/${maxUsers} users remaining)`);
+                        // The freed slot goes to the first user waiting for it
+                        await this.admitWaiting(roomId);
+                        const newTotalCount = this.storage.getUserCount(roomId);
 
-                        // Check if room is now empty and delete it immediately
-                        if (newTotalCount === 0) {
+                        // Check if room is now empty and delete it immediately,
+                        // unless it is pinned or has an expiry - the sweeper removes those
+                        if (newTotalCount === 0 && !this.storage.keepsEmptyRoom(roomId)) {
                             await this.storage.deleteRoom(roomId);
-                            logger.info(`Room ${roomId} deleted - no users remaining`);
+                            logger.info(`Room ${roomId} deleted - no users remaining`, { roomId });
+                            this.webhooks.emit('room.deleted', roomId, { reason: 'empty' });
                         } else {
-                            // Save room state if not empty
-                            await this.storage.saveRoom(roomId);
+                            this.broadcastPresence(roomId);
+                            // Save room state if not empty or kept
+                            this.storage.scheduleSave(roomId);
                         }
                     } catch (error) {
-                        logger.error(`Error in disconnect cleanup: ${error.message}`);
+                        logger.error(`Error in disconnect cleanup: ${error.message}`, { roomId, userId });
                     }
                 }, CONFIG.DISCONNECT_GRACE_PERIOD);
 
                 this.storage.setUserTimeout(roomId, userId, timeoutId);
             }
         } catch (error) {
-            logger.error(`Error in disconnect handler: ${error.message}`);
+            logger.error(`Error in disconnect handler: ${error.message}`, getLogContext(socket));
         }
     }
 
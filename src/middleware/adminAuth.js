@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const CONFIG = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Compare a presented token with the configured admin token in constant time
+const isValidAdminToken = (token) => {
+    if (!CONFIG.ADMIN_TOKEN || typeof token !== 'string' || !token) {
+        return false;
+    }
+
+    const expected = crypto.createHash('sha256').update(CONFIG.ADMIN_TOKEN).digest();
+    const actual = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+// Socket.IO handshake middleware - marks sockets that present the admin token
+const adminAuth = (socket, next) => {
+    const token = socket.handshake.auth?.adminToken;
+    socket.isAdmin = false;
+
+    if (token !== undefined) {
+        if (!isValidAdminToken(token)) {
+            logger.warn(`Rejected admin handshake from ${socket.handshake.address}`);
+            return next(new Error('Invalid admin token'));
+        }
+        socket.isAdmin = true;
+    }
+
+    next();
+};
+
+// Whether an HTTP request carries "Authorization: Bearer <admin token>"
+const isAdminRequest = (req) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    return scheme === 'Bearer' && isValidAdminToken(token);
+};
+
+// Express middleware - requires the admin bearer token
+const requireAdminHttp = (req, res, next) => {
+    if (!isAdminRequest(req)) {
+        logger.warn(`Unauthorized ${req.method} ${req.originalUrl} from ${req.ip}`);
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+};
+
+module.exports = {
+    isValidAdminToken,
+    adminAuth,
+    isAdminRequest,
+    requireAdminHttp
+};
@@ -0,0 +1,23 @@
+const CONFIG = require('../config/constants');
+
+// Client address of a socket; behind a proxy (CONFIG.TRUST_PROXY) the first X-Forwarded-For entry
+const getClientIp = (socket) => {
+    if (CONFIG.TRUST_PROXY) {
+        const forwarded = socket.handshake.headers['x-forwarded-for'];
+        if (typeof forwarded === 'string' && forwarded.trim()) {
+            return forwarded.split(',')[0].trim();
+        }
+    }
+    return socket.handshake.address;
+};
+
+// Socket.IO handshake middleware - stores the client address for rate limiting
+const clientIp = (socket, next) => {
+    socket.clientIp = getClientIp(socket);
+    next();
+};
+
+module.exports = {
+    getClientIp,
+    clientIp
+};
@@ -0,0 +1,558 @@
+const express = require('express');
+const crypto = require('crypto');
+const CONFIG = require('../config/constants');
+const {
+    sanitizeRoomId,
+    sanitizeDocumentId,
+    sanitizeText,
+    sanitizeFileName
+} = require('../utils/validation');
+const { requireAdminHttp, isAdminRequest } = require('../middleware/adminAuth');
+const { verifyPassword } = require('../utils/password');
+const {
+    RoomTransferError,
+    createRoomExport,
+    createMarkdownExport,
+    parseRoomImport,
+    createBackup,
+    parseBackup
+} = require('../storage/roomTransfer');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// User id recorded for admin changes made through the HTTP API. sanitizeUserId drops the
+// "@", so no client can join as it.
+const API_USER_ID = '@api';
+
+// Password-protected rooms need the password in X-Room-Password (admins are exempt)
+const hasRoomAccess = async (roomData, { password, isAdmin }) => {
+    const passwordHash = roomData.access?.passwordHash;
+    if (!passwordHash || isAdmin) return true;
+    return verifyPassword(password, passwordHash);
+};
+
+// What the room methods need to know about the request - they may run on another instance.
+// ?doc=<docId> picks the document, the default document otherwise.
+const getRequestContext = (req) => ({
+    password: req.get('x-room-password'),
+    isAdmin: isAdminRequest(req),
+    docId: req.query.doc === undefined ? CONFIG.DEFAULT_DOCUMENT_ID : sanitizeDocumentId(req.query.doc)
+});
+
+// Media type without parameters ("text/plain; charset=utf-8" -> "text/plain")
+const getMediaType = (req) => (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+
+const isValidAttachmentId = (attachmentId) => /^[a-f0-9]{32}$/.test(attachmentId);
+
+// Files accepted by room import: a JSON room export, or text for the default document
+const IMPORT_TYPES = ['application/json', 'text/plain', 'text/markdown'];
+
+// Download names like "room1-2025-06-30T12-00-00"
+const getTimestamp = () => new Date().toISOString().replace(/:/g, '-').replace(/\.\d+Z$/, '');
+
+// HTTP API over the same storage and broadcast path as the socket events
+const createApiRouter = (socketManager) => {
+    const router = express.Router();
+    const { storage, handlers } = socketManager;
+
+    // Room requests run on the room's home instance and answer with { status, body }
+    socketManager.registerMethod('api:getRoom', async (roomId, context) => {
+        const roomData = storage.getRoomData(roomId);
+        if (!roomData) {
+            return { status: 404, body: { error: 'Room not found' } };
+        }
+
+        if (!await hasRoomAccess(roomData, context)) {
+            return { status: 403, body: { error: 'Invalid room password' } };
+        }
+
+        const document = storage.getDocument(roomId, context.docId);
+        if (!document) {
+            return { status: 404, body: { error: 'Document not found' } };
+        }
+
+        return {
+            status: 200,
+            body: {
+                roomId,
+                docId: context.docId,
+                text: document.text || '',
+                revision: document.revision || 0,
+                documents: storage.getDocuments(roomId),
+                settings: storage.getRoomSettings(roomId),
+                userCount: storage.getUserCount(roomId),
+                createdAt: roomData.createdAt,
+                lastUpdated: roomData.lastUpdated
+            }
+        };
+    });
+
+    socketManager.registerMethod('api:putText', async (roomId, context, text) => {
+        const roomData = storage.getRoomData(roomId);
+        if (!roomData) {
+            return { status: 404, body: { error: 'Room not found' } };
+        }
+
+        // Encrypted rooms only take ciphertext, which can't be truncated to fit
+        const cleanText = sanitizeText(text, CONFIG.MAX_TEXT_LENGTH, { encrypted: storage.isRoomEncrypted(roomId) });
+        if (cleanText === null) {
+            return { status: 400, body: { error: 'Invalid encrypted text' } };
+        }
+
+        if (!await hasRoomAccess(roomData, context)) {
+            return { status: 403, body: { error: 'Invalid room password' } };
+        }
+
+        // Writes are made as the user of the session token, or by an admin
+        const sessionUserId = storage.getSessionUserId(roomId, context.sessionToken);
+        if (!sessionUserId && !context.isAdmin) {
+            return { status: 403, body: { error: 'Valid session token required' } };
+        }
+
+        if (!context.isAdmin && !storage.canEdit(roomId, sessionUserId)) {
+            return { status: 403, body: { error: 'Room is read-only' } };
+        }
+
+        if (!storage.getDocument(roomId, context.docId)) {
+            return { status: 404, body: { error: 'Document not found' } };
+        }
+
+        const userId = sessionUserId || API_USER_ID;
+        const result = await handlers.applyTextChange(roomId, context.docId, cleanText, userId);
+        metrics.textChanges.inc({ source: 'api' });
+
+        logger.info(`Room ${roomId} document ${context.docId} text updated through the HTTP API by ${userId}`, { roomId, userId });
+        return {
+            status: 200,
+            body: { roomId, docId: context.docId, revision: result.revision, textLength: cleanText.length }
+        };
+    });
+
+    // Uploads need the session token of a user in the room who is allowed to edit it
+    const getUploadError = async (roomId, context, size) => {
+        const roomData = storage.getRoomData(roomId);
+        if (!roomData) {
+            return { status: 404, body: { error: 'Room not found' } };
+        }
+
+        if (!await hasRoomAccess(roomData, context)) {
+            return { status: 403, body: { error: 'Invalid room password' } };
+        }
+
+        const userId = storage.getSessionUserId(roomId, context.sessionToken);
+        if (!userId) {
+            return { status: 403, body: { error: 'Valid session token required' } };
+        }
+
+        if (!storage.canEdit(roomId, userId)) {
+            return { status: 403, body: { error: 'Room is read-only' } };
+        }
+
+        const limitError = storage.getAttachmentLimitError(roomId, size);
+        if (limitError) {
+            return { status: 409, body: { error: limitError } };
+        }
+        return null;
+    };
+
+    // Checked before the file is written, and again when it is recorded
+    socketManager.registerMethod('api:checkUpload', async (roomId, context, size) => {
+        return await getUploadError(roomId, context, size) || { status: 200, body: {} };
+    });
+
+    socketManager.registerMethod('api:addAttachment', async (roomId, context, attachmentId, file) => {
+        const uploadError = await getUploadError(roomId, context, file.size);
+        if (uploadError) return uploadError;
+
+        const userId = storage.getSessionUserId(roomId, context.sessionToken);
+        const attachment = storage.addAttachment(roomId, attachmentId, { ...file, uploadedBy: userId });
+        storage.scheduleSave(roomId);
+        handlers.broadcastAttachment(roomId, attachment);
+
+        logger.info(`Attachment ${attachmentId} (${file.size} bytes) added to room ${roomId} by ${userId}`, { roomId, userId });
+        return { status: 201, body: attachment };
+    });
+
+    socketManager.registerMethod('api:getAttachment', async (roomId, context, attachmentId) => {
+        const roomData = storage.getRoomData(roomId);
+        if (!roomData) {
+            return { status: 404, body: { error: 'Room not found' } };
+        }
+
+        if (!await hasRoomAccess(roomData, context)) {
+            return { status: 403, body: { error: 'Invalid room password' } };
+        }
+
+        const attachment = storage.getAttachment(roomId, attachmentId);
+        if (!attachment) {
+            return { status: 404, body: { error: 'Attachment not found' } };
+        }
+        return { status: 200, body: attachment };
+    });
+
+    socketManager.registerMethod('api:exportRoom', async (roomId, context) => {
+        const roomData = storage.getRoomData(roomId);
+        if (!roomData) {
+            return { status: 404, body: { error: 'Room not found' } };
+        }
+
+        if (!await hasRoomAccess(roomData, context)) {
+            return { status: 403, body: { error: 'Invalid room password' } };
+        }
+        return { status: 200, body: createRoomExport(roomId, roomData) };
+    });
+
+    socketManager.registerMethod('api:importRoom', async (roomId, roomData) => {
+        if (storage.getRoomData(roomId)) {
+            return { status: 409, body: { error: 'Room already exists' } };
+        }
+
+        await storage.addRoom(roomId, roomData);
+        logger.info(`Room ${roomId} imported${roomData.access.ownerId ? ` with owner ${roomData.access.ownerId}` : ''}`, { roomId });
+        socketManager.webhooks.emit('room.created', roomId, {
+            ownerId: roomData.access.ownerId,
+            encrypted: roomData.encrypted,
+            source: 'import'
+        });
+        return {
+            status: 201,
+            body: { roomId, documents: storage.getDocuments(roomId), settings: storage.getRoomSettings(roomId) }
+        };
+    });
+
+    // Rooms held by each instance, merged by the admin backup route
+    socketManager.registerMethod('backupRooms', () => storage.getBackupRooms());
+
+    // Returns 'restored', or why the room was skipped: 'exists' or 'active' (users connected)
+    socketManager.registerMethod('restoreRoom', async (roomId, roomData, overwrite) => {
+        const exists = Boolean(storage.getRoomData(roomId));
+        if (exists) {
+            if (!overwrite) return 'exists';
+            if (storage.hasActiveUsers(roomId)) return 'active';
+        }
+        await storage.addRoom(roomId, roomData);
+        if (!exists) {
+            socketManager.webhooks.emit('room.created', roomId, {
+                ownerId: roomData.access?.ownerId || null,
+                encrypted: Boolean(roomData.encrypted),
+                source: 'restore'
+            });
+        }
+        return 'restored';
+    });
+
+    // Uploads are limited per client IP, before the body is read
+    const limitUploads = (req, res, next) => {
+        if (!socketManager.rateLimiter.consumeIp(req.ip, 'uploadAttachment')) {
+            return res.status(429).json({ error: 'Too many uploads' });
+        }
+        next();
+    };
+
+    const checkAttachmentType = (req, res, next) => {
+        if (!CONFIG.ATTACHMENT_TYPES.includes(getMediaType(req))) {
+            return res.status(415).json({ error: 'Unsupported file type' });
+        }
+        next();
+    };
+
+    // Raw file body: Content-Type is the file's type, the name comes from X-Filename or ?name=
+    router.post(
+        '/rooms/:roomId/attachments',
+        limitUploads,
+        checkAttachmentType,
+        express.raw({ type: () => true, limit: CONFIG.MAX_ATTACHMENT_SIZE }),
+        async (req, res) => {
+            try {
+                const roomId = sanitizeRoomId(req.params.roomId);
+                if (!roomId) {
+                    return res.status(404).json({ error: 'Room not found' });
+                }
+
+                const name = sanitizeFileName(req.get('x-filename') || req.query.name);
+                if (!name) {
+                    return res.status(400).json({ error: 'File name required (X-Filename header or ?name=)' });
+                }
+
+                if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                    return res.status(400).json({ error: 'File is empty' });
+                }
+
+                const context = {
+                    ...getRequestContext(req),
+                    sessionToken: req.get('x-session-token')
+                };
+                const file = { name, type: getMediaType(req), size: req.body.length };
+
+                const check = await socketManager.callRoom(roomId, 'api:checkUpload', context, file.size);
+                if (check.status !== 200) {
+                    return res.status(check.status).json(check.body);
+                }
+
+                const attachmentId = crypto.randomBytes(16).toString('hex');
+                await storage.attachments.save(roomId, attachmentId, req.body);
+
+                const { status, body } = await socketManager.callRoom(roomId, 'api:addAttachment', context, attachmentId, file)
+                    .catch(async (error) => {
+                        await storage.attachments.remove(roomId, attachmentId);
+                        throw error;
+                    });
+                if (status !== 201) {
+                    await storage.attachments.remove(roomId, attachmentId);
+                }
+                res.status(status).json(body);
+            } catch (error) {
+                logger.error(`Error in POST /api/rooms/:roomId/attachments: ${error.message}`);
+                res.status(500).json({ error: 'Failed to upload attachment' });
+            }
+        }
+    );
+
+    // Download; the random attachment id is only known to people who can see the room
+    router.get('/rooms/:roomId/attachments/:attachmentId', async (req, res) => {
+        try {
+            const roomId = sanitizeRoomId(req.params.roomId);
+            const { attachmentId } = req.params;
+            if (!roomId || !isValidAttachmentId(attachmentId)) {
+                return res.status(404).json({ error: 'Attachment not found' });
+            }
+
+            const { status, body } = await socketManager.callRoom(roomId, 'api:getAttachment', getRequestContext(req), attachmentId);
+            if (status !== 200) {
+                return res.status(status).json(body);
+            }
+
+            res.attachment(body.name);
+            res.set({ 'Content-Type': body.type, 'X-Content-Type-Options': 'nosniff' });
+            res.sendFile(storage.attachments.getFilePath(roomId, attachmentId), (error) => {
+                if (error && !res.headersSent) {
+                    res.status(404).json({ error: 'Attachment not found' });
+                }
+            });
+        } catch (error) {
+            logger.error(`Error in GET /api/rooms/:roomId/attachments/:attachmentId: ${error.message}`);
+            res.status(500).json({ error: 'Failed to get attachment' });
+        }
+    });
+
+    // Download the room as its full JSON export (?format=json, the default), the text of one
+    // document (?format=txt, ?doc= picks it) or all documents as markdown (?format=md)
+    router.get('/rooms/:roomId/export', async (req, res) => {
+        try {
+            const roomId = sanitizeRoomId(req.params.roomId);
+            if (!roomId) {
+                return res.status(404).json({ error: 'Room not found' });
+            }
+
+            const format = req.query.format || 'json';
+            if (!['json', 'txt', 'md'].includes(format)) {
+                return res.status(400).json({ error: 'Format must be json, txt or md' });
+            }
+
+            const context = getRequestContext(req);
+            const { status, body } = await socketManager.callRoom(roomId, 'api:exportRoom', context);
+            if (status !== 200) {
+                return res.status(status).json(body);
+            }
+
+            const fileName = `${roomId}-${getTimestamp()}`;
+            if (format === 'json') {
+                res.attachment(`${fileName}.json`);
+                return res.json(body);
+            }
+            if (format === 'md') {
+                res.attachment(`${fileName}.md`);
+                return res.type('text/markdown').send(createMarkdownExport(body));
+            }
+
+            const document = body.documents.find(({ docId }) => docId === context.docId);
+            if (!document) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            res.attachment(`${fileName}-${document.docId}.txt`);
+            res.type('text/plain').send(document.text);
+        } catch (error) {
+            logger.error(`Error in GET /api/rooms/:roomId/export: ${error.message}`);
+            res.status(500).json({ error: 'Failed to export room' });
+        }
+    });
+
+    // Create a room from an uploaded file. The room ID comes from ?roomId=, then the export,
+    // else a random one. The room has no owner until its first user joins and becomes it.
+    router.post(
+        '/rooms/import',
+        (req, res, next) => {
+            if (!IMPORT_TYPES.includes(getMediaType(req))) {
+                return res.status(415).json({ error: 'Import a JSON room export or a text/markdown file' });
+            }
+            next();
+        },
+        express.raw({ type: () => true, limit: CONFIG.API_BODY_LIMIT }),
+        async (req, res) => {
+            try {
+                if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                    return res.status(400).json({ error: 'File is empty' });
+                }
+
+                if (req.query.roomId !== undefined && !sanitizeRoomId(req.query.roomId)) {
+                    return res.status(400).json({ error: 'Invalid room ID' });
+                }
+
+                const imported = parseRoomImport(req.body, getMediaType(req));
+                const roomId = sanitizeRoomId(req.query.roomId) || imported.roomId || crypto.randomBytes(8).toString('hex');
+
+                if (!socketManager.rateLimiter.allowRoomCreation(req.ip)) {
+                    return res.status(429).json({ error: 'Room creation limit reached' });
+                }
+
+                const { status, body } = await socketManager.callRoom(roomId, 'api:importRoom', imported.roomData);
+                res.status(status).json(body);
+            } catch (error) {
+                if (error instanceof RoomTransferError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                logger.error(`Error in POST /api/rooms/import: ${error.message}`);
+                res.status(500).json({ error: 'Failed to import room' });
+            }
+        }
+    );
+
+    // Admin: every room as one gzipped JSON archive. Attachment files are not included.
+    router.get('/backup', requireAdminHttp, async (req, res) => {
+        try {
+            const rooms = Object.assign({}, ...await socketManager.callAll('backupRooms'));
+            const backup = createBackup(rooms);
+
+            logger.info(`Backup of ${Object.keys(rooms).length} rooms downloaded (${backup.length} bytes)`);
+            res.attachment(`sync-board-backup-${getTimestamp()}.json.gz`);
+            res.type('application/gzip').send(backup);
+        } catch (error) {
+            logger.error(`Error in GET /api/backup: ${error.message}`);
+            res.status(500).json({ error: 'Failed to create backup' });
+        }
+    });
+
+    // Admin: restore rooms from a backup. Existing rooms are kept unless ?overwrite=true, and
+    // rooms with connected users are never replaced.
+    router.post(
+        '/restore',
+        requireAdminHttp,
+        express.raw({ type: () => true, limit: CONFIG.MAX_BACKUP_SIZE }),
+        async (req, res) => {
+            try {
+                if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                    return res.status(400).json({ error: 'Backup is empty' });
+                }
+
+                const { rooms, invalid } = parseBackup(req.body);
+                const overwrite = req.query.overwrite === 'true';
+                const result = { restored: [], skipped: [], invalid };
+
+                for (const [roomId, roomData] of Object.entries(rooms)) {
+                    const outcome = await socketManager.callRoom(roomId, 'restoreRoom', roomData, overwrite);
+                    if (outcome === 'restored') {
+                        result.restored.push(roomId);
+                    } else {
+                        result.skipped.push({ roomId, reason: outcome });
+                    }
+                }
+
+                logger.info(`Backup restored: ${result.restored.length} rooms restored, ` +
+                    `${result.skipped.length} skipped, ${invalid.length} invalid`);
+                res.json(result);
+            } catch (error) {
+                if (error instanceof RoomTransferError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                logger.error(`Error in POST /api/restore: ${error.message}`);
+                res.status(500).json({ error: 'Failed to restore backup' });
+            }
+        }
+    );
+
+    router.use(express.json({ limit: CONFIG.API_BODY_LIMIT }));
+
+    // Admin: effective configuration with secrets redacted
+    router.get('/config', requireAdminHttp, (req, res) => {
+        res.json(CONFIG.getEffectiveConfig());
+    });
+
+    // Admin: statistics for every room
+    router.get('/rooms', requireAdminHttp, async (req, res) => {
+        try {
+            res.json((await socketManager.callAll('getAllRooms')).flat());
+        } catch (error) {
+            logger.error(`Error in GET /api/rooms: ${error.message}`);
+            res.status(500).json({ error: 'Failed to get data' });
+        }
+    });
+
+    // Admin: rooms whose text matches ?q=, with snippets
+    router.get('/search', requireAdminHttp, async (req, res) => {
+        try {
+            const results = await handlers.searchRooms(req.query.q, req.query.limit);
+            if (!results) {
+                return res.status(400).json({ error: 'Search query required' });
+            }
+            res.json({ query: req.query.q, results });
+        } catch (error) {
+            logger.error(`Error in GET /api/search: ${error.message}`);
+            res.status(500).json({ error: 'Failed to search rooms' });
+        }
+    });
+
+    router.get('/rooms/:roomId', async (req, res) => {
+        try {
+            const roomId = sanitizeRoomId(req.params.roomId);
+            if (!roomId) {
+                return res.status(404).json({ error: 'Room not found' });
+            }
+
+            const { status, body } = await socketManager.callRoom(roomId, 'api:getRoom', getRequestContext(req));
+            res.status(status).json(body);
+        } catch (error) {
+            logger.error(`Error in GET /api/rooms/:roomId: ${error.message}`);
+            res.status(500).json({ error: 'Failed to get room' });
+        }
+    });
+
+    router.put('/rooms/:roomId/text', async (req, res) => {
+        try {
+            const roomId = sanitizeRoomId(req.params.roomId);
+            if (!roomId) {
+                return res.status(404).json({ error: 'Room not found' });
+            }
+
+            if (typeof req.body?.text !== 'string') {
+                return res.status(400).json({ error: 'Body must be JSON with a "text" string' });
+            }
+
+            // Sanitized by the room, which knows whether it is encrypted
+            const context = {
+                ...getRequestContext(req),
+                sessionToken: req.get('x-session-token')
+            };
+            const { status, body } = await socketManager.callRoom(roomId, 'api:putText', context, req.body.text);
+            res.status(status).json(body);
+        } catch (error) {
+            logger.error(`Error in PUT /api/rooms/:roomId/text: ${error.message}`);
+            res.status(500).json({ error: 'Failed to update text' });
+        }
+    });
+
+    // Body parser errors (bad JSON, body too large) as JSON responses
+    router.use((error, req, res, next) => {
+        if (error.type === 'entity.too.large') {
+            const isUpload = req.method === 'POST' && (req.path.endsWith('/attachments') || req.path === '/rooms/import');
+            return res.status(413).json({ error: isUpload ? 'File too large' : 'Request body too large' });
+        }
+        if (error.type === 'entity.parse.failed') {
+            return res.status(400).json({ error: 'Invalid JSON body' });
+        }
+        next(error);
+    });
+
+    return router;
+};
+
+module.exports = createApiRouter;
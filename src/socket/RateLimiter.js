@@ -0,0 +1,129 @@
+// Token bucket: holds up to `capacity` tokens, refilled continuously at `refillPerSecond`
+class TokenBucket {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill(now) {
+        const elapsed = (now - this.updatedAt) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.updatedAt = now;
+    }
+
+    take(now = Date.now()) {
+        this.refill(now);
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    isFull(now = Date.now()) {
+        this.refill(now);
+        return this.tokens >= this.capacity;
+    }
+}
+
+// Rate limits for socket events, per socket and per client IP, plus a cap on rooms
+// created per IP. Limits apply on the instance the client is connected to.
+class RateLimiter {
+    constructor({ limits, ipFactor, maxViolations, violationWindow, maxRoomsPerIp, roomCreationWindow }) {
+        this.limits = limits;
+        this.ipFactor = ipFactor;
+        this.maxViolations = maxViolations;
+        this.violationWindow = violationWindow;
+        this.maxRoomsPerIp = maxRoomsPerIp;
+        this.roomCreationWindow = roomCreationWindow;
+
+        this.socketBuckets = new Map(); // socketId -> Map(event -> bucket)
+        this.ipBuckets = new Map(); // ip -> Map(event -> bucket)
+        this.violations = new Map(); // socketId -> timestamps
+        this.roomCreations = new Map(); // ip -> timestamps
+
+        // Drop state of idle IPs so the maps don't grow forever
+        this.pruneTimer = setInterval(() => this.prune(), Math.max(violationWindow, 60000));
+        this.pruneTimer.unref();
+    }
+
+    getLimit(event) {
+        return this.limits[event] || this.limits.default;
+    }
+
+    getBucket(buckets, key, event, factor = 1) {
+        if (!buckets.has(key)) {
+            buckets.set(key, new Map());
+        }
+        const events = buckets.get(key);
+        if (!events.has(event)) {
+            const { capacity, refillPerSecond } = this.getLimit(event);
+            events.set(event, new TokenBucket(capacity * factor, refillPerSecond * factor));
+        }
+        return events.get(event);
+    }
+
+    // Take a token for the event from the socket's and the IP's bucket
+    consume(socketId, ip, event) {
+        const now = Date.now();
+        if (!this.getBucket(this.socketBuckets, socketId, event).take(now)) {
+            return false;
+        }
+        return !ip || this.getBucket(this.ipBuckets, ip, event, this.ipFactor).take(now);
+    }
+
+    // Take a token from the IP's bucket only, for requests that don't come over a socket
+    consumeIp(ip, event) {
+        return !ip || this.getBucket(this.ipBuckets, ip, event).take();
+    }
+
+    // Record a rejected event, returns true once the socket should be disconnected
+    recordViolation(socketId) {
+        const now = Date.now();
+        const recent = (this.violations.get(socketId) || []).filter(time => now - time < this.violationWindow);
+        recent.push(now);
+        this.violations.set(socketId, recent);
+        return recent.length >= this.maxViolations;
+    }
+
+    // Count a room creation for the IP, returns false if it is over the cap
+    allowRoomCreation(ip) {
+        if (!ip) return true;
+
+        const now = Date.now();
+        const recent = (this.roomCreations.get(ip) || []).filter(time => now - time < this.roomCreationWindow);
+        if (recent.length >= this.maxRoomsPerIp) {
+            this.roomCreations.set(ip, recent);
+            return false;
+        }
+
+        recent.push(now);
+        this.roomCreations.set(ip, recent);
+        return true;
+    }
+
+    releaseSocket(socketId) {
+        this.socketBuckets.delete(socketId);
+        this.violations.delete(socketId);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [ip, events] of this.ipBuckets) {
+            if ([...events.values()].every(bucket => bucket.isFull(now))) {
+                this.ipBuckets.delete(ip);
+            }
+        }
+        for (const [ip, times] of this.roomCreations) {
+            if (times.every(time => now - time >= this.roomCreationWindow)) {
+                this.roomCreations.delete(ip);
+            }
+        }
+    }
+
+    stop() {
+        clearInterval(this.pruneTimer);
+    }
+}
+
+module.exports = RateLimiter;
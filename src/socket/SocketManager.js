@@ -1,69 +1,289 @@
 const DataStorage = require('../storage/DataStorage');
 const SocketHandlers = require('../handlers/socketHandlers');
+const RoomSweeper = require('../storage/RoomSweeper');
+const RateLimiter = require('./RateLimiter');
+const ClusterCoordinator = require('../cluster/ClusterCoordinator');
+const { WebhookDispatcher } = require('../webhooks/WebhookDispatcher');
 const CONFIG = require('../config/constants');
+const { adminAuth } = require('../middleware/adminAuth');
+const { clientIp } = require('../middleware/clientIp');
+const { sanitizeRoomId } = require('../utils/validation');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Client events: the handler, how many arguments it takes and which argument
+// names the room (used to route the event to the room's home instance in cluster mode)
+const SOCKET_EVENTS = {
+    init: { handler: 'handleInit', args: 5, roomArg: 0 },
+    textChange: { handler: 'handleTextChange', args: 4, roomArg: 1 },
+    textDelta: { handler: 'handleTextDelta', args: 5, roomArg: 2 },
+    initText: { handler: 'handleInitText', args: 3, roomArg: 0 },
+    getDocuments: { handler: 'handleGetDocuments', args: 2, roomArg: 0 },
+    createDocument: { handler: 'handleCreateDocument', args: 3, roomArg: 1 },
+    renameDocument: { handler: 'handleRenameDocument', args: 4, roomArg: 2 },
+    deleteDocument: { handler: 'handleDeleteDocument', args: 3, roomArg: 1 },
+    getAttachments: { handler: 'handleGetAttachments', args: 2, roomArg: 0 },
+    setProfile: { handler: 'handleSetProfile', args: 3, roomArg: 1 },
+    cursor: { handler: 'handleCursor', args: 4, roomArg: 1 },
+    getRevisions: { handler: 'handleGetRevisions', args: 3, roomArg: 0 },
+    getRevision: { handler: 'handleGetRevision', args: 4, roomArg: 1 },
+    restoreRevision: { handler: 'handleRestoreRevision', args: 4, roomArg: 1 },
+    setRoomPassword: { handler: 'handleSetRoomPassword', args: 3, roomArg: 1 },
+    setReadOnly: { handler: 'handleSetReadOnly', args: 3, roomArg: 1 },
+    setEditors: { handler: 'handleSetEditors', args: 3, roomArg: 1 },
+    setCapacity: { handler: 'handleSetCapacity', args: 3, roomArg: 1 },
+    getData: { handler: 'handleGetData', args: 0 },
+    searchRooms: { handler: 'handleSearchRooms', args: 1 },
+    deleteData: { handler: 'handleDeleteData', args: 0 },
+    getRoom: { handler: 'handleGetRoom', args: 1, roomArg: 0 },
+    deleteRoom: { handler: 'handleDeleteRoom', args: 1, roomArg: 0 },
+    pinRoom: { handler: 'handlePinRoom', args: 2, roomArg: 0 },
+    disconnect: { handler: 'handleDisconnect', args: 0 }
+};
 
 class SocketManager {
-    constructor(io) {
+    // `storage` replaces the default DataStorage, `dataDir` moves the default one's files
+    constructor(io, { broker = null, storage = null, dataDir = null } = {}) {
         this.io = io;
-        this.storage = new DataStorage();
-        this.handlers = new SocketHandlers(this.storage);
+        // In cluster mode rooms are loaded by the instance that becomes their home
+        this.storage = storage || new DataStorage(null, { preload: !broker, dataDir });
+        this.methods = {};
+        this.rateLimiter = new RateLimiter({
+            limits: CONFIG.RATE_LIMITS,
+            ipFactor: CONFIG.RATE_LIMIT_IP_FACTOR,
+            maxViolations: CONFIG.RATE_LIMIT_MAX_VIOLATIONS,
+            violationWindow: CONFIG.RATE_LIMIT_VIOLATION_WINDOW,
+            maxRoomsPerIp: CONFIG.MAX_ROOMS_PER_IP,
+            roomCreationWindow: CONFIG.ROOM_CREATION_WINDOW
+        });
+        // Room events are sent by the instance holding the room
+        this.webhooks = new WebhookDispatcher({
+            urls: CONFIG.WEBHOOK_URLS,
+            secret: CONFIG.WEBHOOK_SECRET,
+            events: CONFIG.WEBHOOK_EVENTS,
+            textDebounce: CONFIG.WEBHOOK_TEXT_DEBOUNCE,
+            maxAttempts: CONFIG.WEBHOOK_MAX_ATTEMPTS,
+            retryDelay: CONFIG.WEBHOOK_RETRY_DELAY,
+            timeout: CONFIG.WEBHOOK_TIMEOUT
+        });
+        this.handlers = new SocketHandlers(this.storage, this.io, {
+            callRoom: (roomId, name, ...args) => this.callRoom(roomId, name, ...args),
+            callAll: (name, ...args) => this.callAll(name, ...args)
+        }, this.rateLimiter, this.webhooks);
+
+        this.cluster = broker ? new ClusterCoordinator({
+            broker,
+            io,
+            storage: this.storage,
+            methods: this.methods,
+            runEvent: (socket, event, args) => this.runEvent(socket, event, args),
+            channelPrefix: CONFIG.CLUSTER_CHANNEL_PREFIX,
+            leaseTtl: CONFIG.CLUSTER_LEASE_TTL,
+            heartbeatInterval: CONFIG.CLUSTER_HEARTBEAT_INTERVAL,
+            requestTimeout: CONFIG.CLUSTER_REQUEST_TIMEOUT
+        }) : null;
+
+        this.sweeper = new RoomSweeper({
+            listRoomIds: async () => [...new Set([
+                ...Object.keys(this.storage.data),
+                ...await this.storage.listStoredRoomIds()
+            ])],
+            // Only rooms that look expired go to their home, so sweeping doesn't take the
+            // lease on (and load) every stored room in cluster mode
+            expireRoom: async (roomId) => await this.storage.mayHaveExpired(roomId) &&
+                this.callRoom(roomId, 'expireRoom'),
+            interval: CONFIG.ROOM_SWEEP_INTERVAL,
+            // Half the interval, so the lease is free again by the next sweep
+            shouldSweep: () => this.cluster
+                ? this.cluster.claimTask('sweeper', Math.floor(CONFIG.ROOM_SWEEP_INTERVAL / 2))
+                : true
+        });
+
+        this.registerStorageMethods();
         this.initializeSocketHandlers();
     }
 
+    async start() {
+        await this.storage.ready;
+        if (this.cluster) {
+            await this.cluster.start();
+        }
+        this.sweeper.start();
+    }
+
+    // Room and instance operations that the admin handlers run through callRoom/callAll
+    registerStorageMethods() {
+        this.registerMethod('getAllRooms', () => this.storage.getAllRooms());
+        this.registerMethod('searchRooms', (query, limit) => this.storage.searchRooms(query, limit));
+        this.registerMethod('listRoomIds', () => Object.keys(this.storage.data));
+        this.registerMethod('hasActiveUsers', () => this.storage.hasActiveUsers());
+        this.registerMethod('deleteRoom', async (roomId) => {
+            await this.storage.deleteRoom(roomId);
+            this.webhooks.emit('room.deleted', roomId, { reason: 'admin' });
+            return true;
+        });
+        this.registerMethod('expireRoom', async (roomId) => {
+            const expired = await this.storage.expireRoom(roomId);
+            if (expired) {
+                this.webhooks.emit('room.deleted', roomId, {
+                    reason: 'expired',
+                    archived: CONFIG.ROOM_EXPIRY_ACTION === 'archive'
+                });
+            }
+            return expired;
+        });
+    }
+
+    registerMethod(name, fn) {
+        this.methods[name] = fn;
+    }
+
+    // Run a method on the instance that holds the room (this one unless clustered)
+    async callRoom(roomId, name, ...args) {
+        if (this.cluster) {
+            return this.cluster.callRoom(roomId, name, args);
+        }
+        return this.methods[name](roomId, ...args);
+    }
+
+    // Run a method on every instance, returns the list of results
+    async callAll(name, ...args) {
+        if (this.cluster) {
+            return this.cluster.callAll(name, args);
+        }
+        return [await this.methods[name](...args)];
+    }
+
     initializeSocketHandlers() {
+        this.io.use(clientIp);
+        this.io.use(adminAuth);
+
         this.io.on('connection', (socket) => {
             // Track last init time to prevent rapid calls
             let lastInitTime = 0;
 
-            socket.on('init', async (syncUrl, userId) => {
-                // Throttle init calls - prevent multiple calls within the configured time
-                const now = Date.now();
-                if (now - lastInitTime < CONFIG.INIT_THROTTLE_TIME) {
-                    return;
-                }
-                lastInitTime = now;
+            Object.keys(SOCKET_EVENTS).forEach((event) => {
+                socket.on(event, (...args) => {
+                    if (event === 'disconnect') {
+                        this.rateLimiter.releaseSocket(socket.id);
+                    } else if (!this.checkRateLimit(socket, event)) {
+                        return;
+                    }
 
-                await this.handlers.handleInit(socket, syncUrl, userId);
-            });
+                    if (event === 'init') {
+                        // Throttle init calls - prevent multiple calls within the configured time
+                        const now = Date.now();
+                        if (now - lastInitTime < CONFIG.INIT_THROTTLE_TIME) {
+                            return;
+                        }
+                        lastInitTime = now;
+                    }
 
-            socket.on('textChange', async (text, syncUrl, userId) => {
-                await this.handlers.handleTextChange(socket, text, syncUrl, userId);
+                    this.dispatch(socket, event, args);
+                });
             });
 
-            socket.on('initText', (url, userId) => {
-                this.handlers.handleInitText(socket, url, userId);
+            socket.on('error', (error) => {
+                this.handlers.handleError(error);
             });
+        });
+    }
 
-            socket.on('getData', () => {
-                this.handlers.handleGetData(socket);
-            });
+    // Drop events over the rate limits, disconnecting sockets that keep exceeding them
+    checkRateLimit(socket, event) {
+        if (this.rateLimiter.consume(socket.id, socket.clientIp, event)) {
+            return true;
+        }
 
-            socket.on('deleteData', () => {
-                this.handlers.handleDeleteData(socket);
-            });
+        metrics.rateLimited.inc({ event });
 
-            socket.on('disconnect', async () => {
-                await this.handlers.handleDisconnect(socket);
-            });
+        if (this.rateLimiter.recordViolation(socket.id)) {
+            logger.warn(`Disconnecting socket ${socket.id} from ${socket.clientIp} - rate limits exceeded repeatedly`, { socketId: socket.id, roomId: socket.roomId, userId: socket.userId });
+            socket.emit('error', 'Disconnected for exceeding rate limits');
+            socket.disconnect(true);
+        } else if (event !== 'cursor') {
+            // Cursor updates are best-effort anyway, drop them quietly
+            socket.emit('error', `Too many ${event} requests`);
+        }
+        return false;
+    }
 
-            socket.on('error', (error) => {
-                this.handlers.handleError(error);
-            });
-        });
+    dispatch(socket, event, args) {
+        const eventArgs = args.slice(0, SOCKET_EVENTS[event].args);
+
+        if (!this.cluster) {
+            return this.runEvent(socket, event, eventArgs);
+        }
+
+        // A socket belongs to one room - a second init for another room is ignored as usual
+        const roomId = this.getRoutingRoom(socket, event, eventArgs);
+        if (event === 'init' && roomId && roomId !== socket.data.clusterRoomId) {
+            return;
+        }
+
+        if (!roomId) {
+            // Instance-wide events, or an invalid room the handler will reject
+            return this.runEvent(socket, event, eventArgs);
+        }
+
+        // Run each socket's events in order, even when some are forwarded and some not
+        socket.data.queue = (socket.data.queue || Promise.resolve())
+            .then(() => this.cluster.dispatch(socket, event, eventArgs, roomId))
+            .catch(error => logger.error(`Error dispatching ${event}: ${error.message}`, { roomId, socketId: socket.id }));
+        return socket.data.queue;
     }
 
-    async shutdown() {
-        // Save all room data before shutdown
-        for (const roomId of Object.keys(this.storage.data)) {
-            await this.storage.saveRoom(roomId);
+    // Room whose home instance should run the event
+    getRoutingRoom(socket, event, args) {
+        if (event === 'disconnect') {
+            return socket.data.clusterRoomId || null;
         }
+
+        const { roomArg } = SOCKET_EVENTS[event];
+        const roomId = roomArg === undefined ? null : sanitizeRoomId(args[roomArg]);
+
+        // Its disconnect will go to the home of the first room it joins
+        if (event === 'init' && roomId && !socket.data.clusterRoomId) {
+            socket.data.clusterRoomId = roomId;
+        }
+        return roomId;
+    }
+
+    async runEvent(socket, event, args) {
+        await this.handlers[SOCKET_EVENTS[event].handler](socket, ...args);
+    }
+
+    // Refresh the gauges that describe current state, right before a metrics scrape
+    collectMetrics() {
+        metrics.connectedSockets.set({}, this.io.engine.clientsCount);
+
+        const roomIds = Object.keys(this.storage.data);
+        metrics.activeRooms.set({}, roomIds.length);
+        metrics.roomUsers.reset();
+        roomIds.forEach(roomId => metrics.roomUsers.observe({}, this.storage.getUserCount(roomId)));
+        metrics.waitingUsers.set({}, this.handlers.getWaitingCount());
+    }
+
+    async shutdown() {
+        await this.sweeper.stop();
+        this.rateLimiter.stop();
+
+        // Close all socket connections and the HTTP server first, so no event changes
+        // a room after its final save
+        await new Promise(resolve => this.io.close(() => resolve()));
+        logger.info('Socket.IO connections closed');
+
+        // Write all pending room changes before shutdown
+        await this.storage.flushAll();
         logger.info('Data backup completed');
+        await this.storage.close();
 
-        // Close all socket connections
-        this.io.close(() => {
-            logger.info('Socket.IO connections closed');
-        });
+        // Nothing can change a room any more; send what is pending
+        await this.webhooks.stop();
+
+        if (this.cluster) {
+            await this.cluster.stop();
+        }
     }
 }
 
@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Attachment files on disk: <dir>/<roomId>/<attachmentId>. Metadata lives in the room data.
+// Always stored on the filesystem, whichever storage adapter holds the rooms.
+class AttachmentStore {
+    constructor({ dir, archiveDir }) {
+        this.dir = dir;
+        this.archiveDir = archiveDir;
+    }
+
+    getRoomDir(roomId) {
+        return path.join(this.dir, roomId);
+    }
+
+    getFilePath(roomId, attachmentId) {
+        return path.join(this.getRoomDir(roomId), attachmentId);
+    }
+
+    // Write to a temp file and rename, so a download never sees a partial file
+    async save(roomId, attachmentId, data) {
+        await fs.mkdir(this.getRoomDir(roomId), { recursive: true });
+
+        const filePath = this.getFilePath(roomId, attachmentId);
+        const tempPath = `${filePath}.tmp`;
+        try {
+            await fs.writeFile(tempPath, data);
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    async remove(roomId, attachmentId) {
+        await fs.rm(this.getFilePath(roomId, attachmentId), { force: true });
+    }
+
+    async deleteRoom(roomId) {
+        await fs.rm(this.getRoomDir(roomId), { recursive: true, force: true });
+    }
+
+    // Move the room's attachments next to its archived data, returns where they went
+    async archiveRoom(roomId) {
+        await fs.mkdir(this.archiveDir, { recursive: true });
+        const target = path.join(this.archiveDir, `${roomId}.${Date.now()}`);
+        try {
+            await fs.rename(this.getRoomDir(roomId), target);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        return target;
+    }
+}
+
+module.exports = AttachmentStore;
@@ -1,49 +1,82 @@
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const path = require('path');
 const CONFIG = require('../config/constants');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const textOperation = require('../utils/textOperation');
+const { isValidRoomData } = require('../utils/validation');
+const { loadSessionKey, createSessionToken, readSessionToken } = require('../utils/session');
+const { createStorageAdapter, CorruptRoomError } = require('./adapters');
+const PersistenceScheduler = require('./PersistenceScheduler');
+const AttachmentStore = require('./AttachmentStore');
+const SearchIndex = require('./SearchIndex');
 
-// Ensure data directory exists
-const ensureDataDir = async () => {
-    try {
-        await fs.access(CONFIG.DATA_DIR);
-    } catch {
-        await fs.mkdir(CONFIG.DATA_DIR, { recursive: true });
-    }
+// A document's persisted state; each document has its own text, revisions and operation log
+const createDocumentData = (name, text = '') => ({
+    name,
+    text,
+    revision: 0,
+    history: [],
+    createdAt: new Date().toISOString(),
+    lastUpdated: new Date().toISOString()
+});
+
+// When a room expires if it stays idle (ms timestamp), null for pinned rooms
+const getExpiry = (room) => {
+    if (room.retention?.pinned) return null;
+
+    const lastUpdated = Date.parse(room.lastUpdated || room.createdAt) || Date.now();
+    return lastUpdated + (room.retention?.ttl || CONFIG.ROOM_TTL);
 };
 
 // Data storage and persistence class
 class DataStorage {
-    constructor() {
+    // With preload off, rooms are only read on demand through hydrateRoom (cluster mode).
+    // dataDir keeps the default adapter's files and the attachments there instead of the
+    // configured directories.
+    constructor(adapter = null, { preload = true, dataDir = null, attachments } = {}) {
         this.data = {};
-        this.initializeStorage();
+        this.adapter = adapter || createStorageAdapter(CONFIG.STORAGE_ADAPTER, { dataDir });
+        this.attachments = attachments || new AttachmentStore({
+            dir: dataDir ? path.join(dataDir, 'attachments') : CONFIG.ATTACHMENTS_DIR,
+            archiveDir: path.join(dataDir || CONFIG.DATA_DIR, 'archive', 'attachments')
+        });
+        this.scheduler = new PersistenceScheduler(roomId => this.saveRoom(roomId), CONFIG.PERSIST_INTERVAL);
+        this.searchIndex = new SearchIndex(roomId => this.data[roomId] || null);
+        this.sessionKeyDir = dataDir || CONFIG.DATA_DIR;
+        this.sessionKey = null;
+        // Short hash of the key, stored with the kept sessions it signs tokens for
+        this.sessionKeyId = null;
+        this.ready = this.initializeStorage(preload);
     }
 
-    async initializeStorage() {
-        await ensureDataDir();
-        await this.loadData();
+    async initializeStorage(preload) {
+        try {
+            await this.adapter.init();
+        } catch (error) {
+            logger.error(`Error initializing ${this.adapter.constructor.name}: ${error.message}`);
+            throw error;
+        }
+        try {
+            this.sessionKey = await loadSessionKey(CONFIG.SESSION_SECRET, this.sessionKeyDir);
+            this.sessionKeyId = crypto.createHash('sha256').update(this.sessionKey).digest('hex').slice(0, 16);
+        } catch (error) {
+            logger.error(`Error loading the session key: ${error.message}`);
+            throw error;
+        }
+        if (preload) {
+            await this.loadData();
+        }
     }
 
     async loadData() {
         try {
-            await ensureDataDir();
-
-            const files = await fs.readdir(CONFIG.DATA_DIR);
-            for (const file of files) {
-                if (file.endsWith('.json')) {
-                    const roomId = file.replace('.json', '');
-                    const filePath = path.join(CONFIG.DATA_DIR, file);
-                    const fileContent = await fs.readFile(filePath, 'utf8');
-                    const roomData = JSON.parse(fileContent);
-
-                    if (roomData.users) {
-                        Object.keys(roomData.users).forEach(userId => {
-                            roomData.users[userId].socketId = null;
-                            roomData.users[userId].timeoutId = null;
-                        });
-                    }
-
-                    this.data[roomId] = roomData;
+            const roomIds = await this.adapter.listRooms();
+            for (const roomId of roomIds) {
+                const roomData = await this.loadRoom(roomId);
+                if (roomData) {
+                    this.data[roomId] = this.prepareLoadedRoom(roomData);
+                    this.searchIndex.markRoom(roomId);
                 }
             }
             logger.info(`Loaded ${Object.keys(this.data).length} rooms from storage`);
@@ -63,60 +96,640 @@ class DataStorage {
         }
     }
 
+    // Reset runtime state of a room read from storage
+    prepareLoadedRoom(roomData) {
+        if (roomData.users) {
+            Object.keys(roomData.users).forEach(userId => {
+                roomData.users[userId].socketId = null;
+                roomData.users[userId].timeoutId = null;
+            });
+        }
+
+        this.migrateToDocuments(roomData);
+
+        // Operation logs are runtime only, clients resync from the persisted revision
+        Object.values(roomData.documents).forEach(document => {
+            document.revision = document.revision || 0;
+            document.operations = [];
+        });
+        return roomData;
+    }
+
+    // Rooms from before multiple documents keep their text as the default document
+    migrateToDocuments(roomData) {
+        if (roomData.documents) return;
+
+        roomData.documents = {
+            [CONFIG.DEFAULT_DOCUMENT_ID]: {
+                ...createDocumentData(CONFIG.DEFAULT_DOCUMENT_NAME, roomData.text || ''),
+                revision: roomData.revision || 0,
+                history: roomData.history || [],
+                createdAt: roomData.createdAt || new Date().toISOString(),
+                lastUpdated: roomData.lastUpdated || new Date().toISOString()
+            }
+        };
+        delete roomData.text;
+        delete roomData.revision;
+        delete roomData.history;
+    }
+
+    // (Re)load a single room from storage, replacing any in-memory copy.
+    // Used in cluster mode when this instance becomes the room's home.
+    async hydrateRoom(roomId) {
+        await this.ready;
+        this.evictRoom(roomId);
+
+        const roomData = await this.loadRoom(roomId);
+        if (roomData) {
+            // Users belonged to the previous home - they rejoin through init
+            roomData.users = {};
+            this.data[roomId] = this.prepareLoadedRoom(roomData);
+            this.searchIndex.markRoom(roomId);
+        }
+        return this.data[roomId] || null;
+    }
+
+    // Put an imported or restored room in place of any room with that ID, prepared like
+    // rooms read from storage and saved right away. Users join it through init.
+    async addRoom(roomId, roomData) {
+        if (!isValidRoomData(roomData)) return false;
+
+        this.evictRoom(roomId);
+        roomData.users = {};
+        this.data[roomId] = this.prepareLoadedRoom(roomData);
+        this.searchIndex.markRoom(roomId);
+        await this.scheduler.flush(roomId);
+        return true;
+    }
+
+    // Every room in memory as it is persisted, by room ID
+    getBackupRooms() {
+        const rooms = {};
+        Object.keys(this.data).forEach(roomId => {
+            rooms[roomId] = this.serializeRoom(roomId);
+        });
+        return rooms;
+    }
+
+    // Drop a room from memory without deleting it from storage
+    evictRoom(roomId) {
+        Object.values(this.data[roomId]?.users || {}).forEach(user => {
+            clearTimeout(user.timeoutId);
+        });
+        this.scheduler.cancel(roomId);
+        delete this.data[roomId];
+        this.searchIndex.removeRoom(roomId);
+    }
+
+    // Load one room, quarantining it if it can't be parsed so the rest still load
+    async loadRoom(roomId) {
+        let roomData;
+        try {
+            roomData = await this.adapter.loadRoom(roomId);
+        } catch (error) {
+            if (!(error instanceof CorruptRoomError)) {
+                logger.error(`Error loading room ${roomId}: ${error.message}`, { roomId });
+                return null;
+            }
+            roomData = undefined;
+        }
+
+        if (roomData === null || isValidRoomData(roomData)) {
+            return roomData;
+        }
+
+        try {
+            const location = await this.adapter.quarantineRoom(roomId);
+            logger.warn(`Room ${roomId} is corrupt and was skipped - moved to ${location}`, { roomId });
+        } catch (error) {
+            logger.error(`Room ${roomId} is corrupt and could not be quarantined: ${error.message}`, { roomId });
+        }
+        return null;
+    }
+
+    // Queue a save - changes within CONFIG.PERSIST_INTERVAL are written together.
+    // Saves are scheduled for room activity, so this also restarts the room's expiry.
+    scheduleSave(roomId) {
+        if (this.data[roomId]) {
+            this.data[roomId].lastUpdated = new Date().toISOString();
+        }
+        this.scheduler.schedule(roomId);
+    }
+
+    // Write every room with pending changes, used on shutdown
+    async flushAll() {
+        await this.scheduler.flushAll();
+    }
+
+    // The room as it is persisted: runtime-only fields stripped without touching the in-memory room
+    serializeRoom(roomId) {
+        const roomData = this.data[roomId];
+        const dataToSave = {
+            ...roomData,
+            documents: {},
+            lastUpdated: roomData.lastUpdated || new Date().toISOString()
+        };
+
+        Object.entries(roomData.documents || {}).forEach(([docId, document]) => {
+            const { operations, ...persistedDocument } = document;
+            dataToSave.documents[docId] = persistedDocument;
+        });
+
+        if (roomData.users) {
+            dataToSave.users = {};
+            Object.entries(roomData.users).forEach(([userId, user]) => {
+                const { socketId, timeoutId, sessionId, ...persistedUser } = user;
+                dataToSave.users[userId] = persistedUser;
+            });
+        }
+        return dataToSave;
+    }
+
     async saveRoom(roomId) {
         try {
             if (!this.data[roomId]) return;
 
-            const filePath = path.join(CONFIG.DATA_DIR, `${roomId}.json`);
-            const dataToSave = {
-                ...this.data[roomId],
-                lastUpdated: new Date().toISOString()
-            };
+            const dataToSave = this.serializeRoom(roomId);
+            await metrics.persistenceDuration.time({}, () => this.adapter.saveRoom(roomId, dataToSave));
+        } catch (error) {
+            metrics.persistenceErrors.inc();
+            logger.error(`Error saving room ${roomId}: ${error.message}`, { roomId });
+        }
+    }
 
-            if (dataToSave.users) {
-                Object.keys(dataToSave.users).forEach(userId => {
-                    delete dataToSave.users[userId].socketId;
-                    delete dataToSave.users[userId].timeoutId;
-                });
-            }
+    async deleteRoom(roomId) {
+        try {
+            // Cancel pending grace-period removals so they don't touch the deleted room
+            Object.values(this.data[roomId]?.users || {}).forEach(user => {
+                clearTimeout(user.timeoutId);
+            });
 
-            await fs.writeFile(filePath, JSON.stringify(dataToSave, null, 2));
+            delete this.data[roomId];
+            this.searchIndex.removeRoom(roomId);
+            this.scheduler.cancel(roomId);
+            // A save that is already writing would recreate the room after the delete
+            await this.scheduler.settle(roomId);
+            await this.attachments.deleteRoom(roomId);
+            await this.adapter.deleteRoom(roomId);
         } catch (error) {
-            logger.error(`Error saving room ${roomId}: ${error.message}`);
+            logger.error(`Error deleting room ${roomId}: ${error.message}`, { roomId });
         }
     }
 
-    async deleteRoom(roomId) {
+    // Move the room out of storage into the adapter's archive, returns where it went
+    async archiveRoom(roomId) {
         try {
+            Object.values(this.data[roomId]?.users || {}).forEach(user => {
+                clearTimeout(user.timeoutId);
+            });
+
+            // Archive the latest state, including changes not written yet
+            if (this.data[roomId]) {
+                await this.scheduler.flush(roomId);
+            }
+
             delete this.data[roomId];
-            const filePath = path.join(CONFIG.DATA_DIR, `${roomId}.json`);
-            await fs.unlink(filePath);
+            this.searchIndex.removeRoom(roomId);
+            this.scheduler.cancel(roomId);
+            await this.scheduler.settle(roomId);
+            await this.attachments.archiveRoom(roomId);
+            return await this.adapter.archiveRoom(roomId);
         } catch (error) {
-            logger.error(`Error deleting room ${roomId}: ${error.message}`);
+            logger.error(`Error archiving room ${roomId}: ${error.message}`, { roomId });
+            return null;
         }
     }
 
+    async close() {
+        // Grace-period removals would otherwise run against the closed adapter
+        Object.values(this.data).forEach(room => {
+            Object.values(room.users || {}).forEach(user => clearTimeout(user.timeoutId));
+        });
+        await this.adapter.close();
+    }
+
+    // IDs of every persisted room, including rooms not loaded into memory
+    async listStoredRoomIds() {
+        return this.adapter.listRooms();
+    }
+
     getRoomData(roomId) {
         return this.data[roomId];
     }
 
-    createRoom(roomId) {
+    // ttl: expiry picked by the creator in ms, null for CONFIG.ROOM_TTL
+    // Encrypted rooms hold client-side encrypted text the server can't read
+    createRoom(roomId, ownerId = null, ttl = null, encrypted = false) {
         this.data[roomId] = {
-            text: '',
+            documents: {
+                [CONFIG.DEFAULT_DOCUMENT_ID]: {
+                    ...createDocumentData(CONFIG.DEFAULT_DOCUMENT_NAME),
+                    operations: []
+                }
+            },
+            access: {
+                ownerId,
+                passwordHash: null,
+                readOnly: false,
+                editors: [],
+                capacity: null
+            },
+            retention: {
+                pinned: false,
+                ttl
+            },
+            encrypted,
             users: {},
             createdAt: new Date().toISOString(),
             lastUpdated: new Date().toISOString()
         };
+        this.searchIndex.markRoom(roomId);
     }
 
-    updateRoomText(roomId, text) {
-        if (this.data[roomId]) {
-            this.data[roomId].text = text;
-            this.data[roomId].lastUpdated = new Date().toISOString();
+    isRoomEncrypted(roomId) {
+        return Boolean(this.data[roomId]?.encrypted);
+    }
+
+    getDocument(roomId, docId) {
+        return this.data[roomId]?.documents?.[docId] || null;
+    }
+
+    // Document list for clients, in creation order (without text)
+    getDocuments(roomId) {
+        return Object.entries(this.data[roomId]?.documents || {})
+            .map(([docId, document]) => ({
+                docId,
+                name: document.name,
+                revision: document.revision || 0,
+                size: (document.text || '').length,
+                createdAt: document.createdAt,
+                lastUpdated: document.lastUpdated
+            }))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    // Add an empty document, returns its ID or null when the room has no room for more
+    createDocument(roomId, name) {
+        const room = this.data[roomId];
+        if (!room || Object.keys(room.documents).length >= CONFIG.MAX_DOCUMENTS_PER_ROOM) {
+            return null;
+        }
+
+        let docId;
+        do {
+            docId = crypto.randomBytes(4).toString('hex');
+        } while (room.documents[docId]);
+
+        room.documents[docId] = { ...createDocumentData(name), operations: [] };
+        this.searchIndex.markDocument(roomId, docId);
+        return docId;
+    }
+
+    renameDocument(roomId, docId, name) {
+        const document = this.getDocument(roomId, docId);
+        if (!document) return false;
+
+        document.name = name;
+        this.searchIndex.markDocument(roomId, docId);
+        return true;
+    }
+
+    // The default document can't be deleted - clients without document support use it
+    deleteDocument(roomId, docId) {
+        if (docId === CONFIG.DEFAULT_DOCUMENT_ID || !this.getDocument(roomId, docId)) {
+            return false;
+        }
+
+        delete this.data[roomId].documents[docId];
+        this.searchIndex.removeDocument(roomId, docId);
+        return true;
+    }
+
+    // Replace a document's whole text, recording the change as an operation for delta clients
+    updateRoomText(roomId, docId, text, userId) {
+        const document = this.getDocument(roomId, docId);
+        if (!document) return null;
+
+        const operation = textOperation.fromDiff(document.text || '', text);
+        return this.applyOperation(roomId, docId, operation, userId);
+    }
+
+    // Apply an operation that is already based on the document's current revision
+    applyOperation(roomId, docId, operation, userId, restoredFrom = null) {
+        const document = this.getDocument(roomId, docId);
+        if (!document) return null;
+
+        document.text = textOperation.apply(document.text || '', operation);
+        document.revision = (document.revision || 0) + 1;
+        document.lastUpdated = new Date().toISOString();
+        this.data[roomId].lastUpdated = document.lastUpdated;
+
+        if (!document.operations) {
+            document.operations = [];
+        }
+        document.operations.push({ operation, userId });
+        if (document.operations.length > CONFIG.MAX_OPERATION_HISTORY) {
+            document.operations.shift();
+        }
+
+        this.recordRevision(document, userId, restoredFrom);
+        this.searchIndex.markDocument(roomId, docId);
+
+        return { operation, revision: document.revision };
+    }
+
+    // Snapshot the current text into the document's bounded revision history
+    recordRevision(document, userId, restoredFrom = null) {
+        if (!document.history) {
+            document.history = [];
+        }
+
+        const now = new Date();
+        const entry = {
+            revision: document.revision || 0,
+            userId: userId || null,
+            createdAt: now.toISOString(),
+            size: (document.text || '').length,
+            text: document.text || ''
+        };
+        if (restoredFrom !== null) {
+            entry.restoredFrom = restoredFrom;
+        }
+
+        // Coalesce rapid edits by the same user into one snapshot
+        const last = document.history[document.history.length - 1];
+        const canCoalesce = last && restoredFrom === null && last.restoredFrom === undefined &&
+            last.userId === entry.userId &&
+            now - new Date(last.createdAt) < CONFIG.REVISION_SNAPSHOT_INTERVAL;
+
+        if (canCoalesce) {
+            document.history[document.history.length - 1] = { ...entry, createdAt: last.createdAt };
+        } else {
+            document.history.push(entry);
+        }
+
+        if (document.history.length > CONFIG.MAX_REVISION_HISTORY) {
+            document.history.splice(0, document.history.length - CONFIG.MAX_REVISION_HISTORY);
+        }
+    }
+
+    getRevisions(roomId, docId) {
+        const history = this.getDocument(roomId, docId)?.history || [];
+        return history.map(({ text, ...revision }) => revision);
+    }
+
+    getRevision(roomId, docId, revision) {
+        const history = this.getDocument(roomId, docId)?.history || [];
+        return history.find(entry => entry.revision === revision) || null;
+    }
+
+    // Restore the text of an older revision as a new change
+    restoreRevision(roomId, docId, revision, userId) {
+        const entry = this.getRevision(roomId, docId, revision);
+        if (!entry) return null;
+
+        const operation = textOperation.fromDiff(this.getDocument(roomId, docId).text || '', entry.text);
+        return this.applyOperation(roomId, docId, operation, userId, revision);
+    }
+
+    // Text of the document as it was at a revision: the closest snapshot at or before it,
+    // moved forward with logged operations. Null if neither reaches back that far.
+    getTextAtRevision(roomId, docId, revision) {
+        const document = this.getDocument(roomId, docId);
+        if (!document || !Number.isInteger(revision)) return null;
+
+        const currentRevision = document.revision || 0;
+        if (revision === currentRevision) return document.text || '';
+        if (revision > currentRevision) return null;
+
+        const snapshot = (document.history || [])
+            .filter(entry => entry.revision <= revision)
+            .reduce((latest, entry) => (!latest || entry.revision > latest.revision ? entry : latest), null);
+        if (!snapshot) return null;
+
+        // operations[k] turned revision currentRevision - operations.length + k into the next one
+        const operations = document.operations || [];
+        const firstLogged = currentRevision - operations.length;
+        if (snapshot.revision < revision && snapshot.revision < firstLogged) return null;
+
+        let text = snapshot.text;
+        for (let logged = snapshot.revision; logged < revision; logged++) {
+            text = textOperation.apply(text, operations[logged - firstLogged].operation);
+        }
+        return text;
+    }
+
+    // Operations applied after the given revision, or null if they are no longer in the log
+    getOperationsSince(roomId, docId, revision) {
+        const document = this.getDocument(roomId, docId);
+        if (!document) return null;
+
+        const currentRevision = document.revision || 0;
+        const operations = document.operations || [];
+        const missing = currentRevision - revision;
+
+        if (!Number.isInteger(revision) || missing < 0 || missing > operations.length) {
+            return null;
+        }
+        return operations.slice(operations.length - missing).map(entry => entry.operation);
+    }
+
+    // Attachment metadata for clients, oldest first, with the HTTP API download path
+    getAttachments(roomId) {
+        return Object.entries(this.data[roomId]?.attachments || {})
+            .map(([attachmentId, attachment]) => this.formatAttachment(roomId, attachmentId, attachment))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    getAttachment(roomId, attachmentId) {
+        const attachment = this.data[roomId]?.attachments?.[attachmentId];
+        return attachment ? this.formatAttachment(roomId, attachmentId, attachment) : null;
+    }
+
+    formatAttachment(roomId, attachmentId, attachment) {
+        return {
+            attachmentId,
+            ...attachment,
+            url: `/api/rooms/${roomId}/attachments/${attachmentId}`
+        };
+    }
+
+    // Why a file of this size can't be added to the room, or null if it can
+    getAttachmentLimitError(roomId, size) {
+        const attachments = Object.values(this.data[roomId]?.attachments || {});
+        if (attachments.length >= CONFIG.MAX_ROOM_ATTACHMENTS) {
+            return `Rooms can have at most ${CONFIG.MAX_ROOM_ATTACHMENTS} attachments`;
+        }
+
+        const totalSize = attachments.reduce((total, attachment) => total + attachment.size, 0);
+        if (totalSize + size > CONFIG.MAX_ROOM_ATTACHMENTS_SIZE) {
+            return 'Room attachment storage is full';
+        }
+        return null;
+    }
+
+    // Record an attachment whose file is already in the attachment store
+    addAttachment(roomId, attachmentId, { name, type, size, uploadedBy }) {
+        const room = this.data[roomId];
+        if (!room) return null;
+
+        if (!room.attachments) {
+            room.attachments = {};
+        }
+        room.attachments[attachmentId] = {
+            name,
+            type,
+            size,
+            uploadedBy,
+            createdAt: new Date().toISOString()
+        };
+        return this.getAttachment(roomId, attachmentId);
+    }
+
+    // Access settings as sent to clients (never includes the password hash)
+    getRoomSettings(roomId) {
+        const access = this.data[roomId]?.access || {};
+        const expiresAt = this.getRoomExpiry(roomId);
+        return {
+            ownerId: access.ownerId || null,
+            hasPassword: Boolean(access.passwordHash),
+            readOnly: Boolean(access.readOnly),
+            editors: access.editors || [],
+            capacity: this.getRoomCapacity(roomId),
+            pinned: Boolean(this.data[roomId]?.retention?.pinned),
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            encrypted: this.isRoomEncrypted(roomId)
+        };
+    }
+
+    // When the room expires if it stays idle (ms timestamp), null for pinned rooms
+    getRoomExpiry(roomId) {
+        const room = this.data[roomId];
+        return room ? getExpiry(room) : null;
+    }
+
+    // Idle past its expiry and nobody in it, not even within the reconnect grace period
+    isRoomExpired(roomId, now = Date.now()) {
+        const expiresAt = this.getRoomExpiry(roomId);
+        return expiresAt !== null && expiresAt <= now && this.getUserCount(roomId) === 0;
+    }
+
+    // Rooms with a chosen expiry or pinned are kept when the last user leaves,
+    // other rooms are deleted right away as before
+    keepsEmptyRoom(roomId) {
+        const retention = this.data[roomId]?.retention;
+        return Boolean(retention && (retention.pinned || retention.ttl));
+    }
+
+    setRoomPinned(roomId, pinned) {
+        const room = this.data[roomId];
+        if (room) {
+            room.retention = { ttl: null, ...room.retention, pinned };
+        }
+    }
+
+    // Sweeper pre-check that leaves rooms this instance doesn't hold out of memory: their
+    // stored data is read, not hydrated. Users aren't known from storage, so expireRoom
+    // checks again on the room's home before removing it.
+    async mayHaveExpired(roomId, now = Date.now()) {
+        if (CONFIG.ROOM_EXPIRY_ACTION === 'none') return false;
+        if (this.data[roomId]) return this.isRoomExpired(roomId, now);
+
+        const roomData = await this.loadRoom(roomId);
+        const expiresAt = roomData ? getExpiry(roomData) : null;
+        return expiresAt !== null && expiresAt <= now;
+    }
+
+    // Delete or archive the room if it has expired, per CONFIG.ROOM_EXPIRY_ACTION.
+    // Rooms only held in storage (not preloaded, or not joined since a restart) are loaded
+    // first. Returns true when the room was removed.
+    async expireRoom(roomId) {
+        if (CONFIG.ROOM_EXPIRY_ACTION === 'none') return false;
+        if (!this.data[roomId] && !await this.hydrateRoom(roomId)) return false;
+        if (!this.isRoomExpired(roomId)) return false;
+
+        if (CONFIG.ROOM_EXPIRY_ACTION === 'archive') {
+            const location = await this.archiveRoom(roomId);
+            if (!location) return false;
+            logger.info(`Room ${roomId} expired - archived to ${location}`, { roomId });
+        } else {
+            await this.deleteRoom(roomId);
+            logger.info(`Room ${roomId} expired - deleted`, { roomId });
+        }
+        return true;
+    }
+
+    getRoomAccess(roomId) {
+        const room = this.data[roomId];
+        if (!room) return null;
+
+        if (!room.access) {
+            room.access = { ownerId: null, passwordHash: null, readOnly: false, editors: [] };
+        }
+        return room.access;
+    }
+
+    // Make the user owner if the room has none yet, returns true when ownership changed
+    claimRoomOwnership(roomId, userId) {
+        const access = this.getRoomAccess(roomId);
+        if (!access || access.ownerId) return false;
+
+        access.ownerId = userId;
+        return true;
+    }
+
+    isRoomOwner(roomId, userId) {
+        return Boolean(userId) && this.data[roomId]?.access?.ownerId === userId;
+    }
+
+    // Read-only rooms can only be edited by the owner and editors
+    canEdit(roomId, userId) {
+        if (this.isSpectator(roomId, userId)) return false;
+        const access = this.data[roomId]?.access;
+        if (!access || !access.readOnly) return true;
+        return access.ownerId === userId || (access.editors || []).includes(userId);
+    }
+
+    // Password-protected rooms drop out of the search index, and come back when it is cleared
+    setRoomPassword(roomId, passwordHash) {
+        const access = this.getRoomAccess(roomId);
+        if (access) {
+            access.passwordHash = passwordHash;
+            this.searchIndex.markRoom(roomId);
+        }
+    }
+
+    setRoomReadOnly(roomId, readOnly) {
+        const access = this.getRoomAccess(roomId);
+        if (access) {
+            access.readOnly = readOnly;
         }
     }
 
-    addUserToRoom(roomId, userId, socketId) {
+    setRoomEditors(roomId, editors) {
+        const access = this.getRoomAccess(roomId);
+        if (access) {
+            access.editors = editors;
+            this.updateKeptSessions(roomId);
+        }
+    }
+
+    // Participants limited by the room capacity, null for CONFIG.MAX_ROOM_SIZE
+    setRoomCapacity(roomId, capacity) {
+        const access = this.getRoomAccess(roomId);
+        if (access) {
+            access.capacity = capacity;
+        }
+    }
+
+    // Capacity set by the owner, never above the server maximum
+    getRoomCapacity(roomId) {
+        const capacity = this.data[roomId]?.access?.capacity;
+        return capacity ? Math.min(capacity, CONFIG.MAX_ROOM_SIZE) : CONFIG.MAX_ROOM_SIZE;
+    }
+
+    // role: 'participant' or 'spectator' (read-only, not counted toward capacity)
+    addUserToRoom(roomId, userId, socketId, role = 'participant') {
         if (!this.data[roomId].users) {
             this.data[roomId].users = {};
         }
@@ -124,9 +737,14 @@ class DataStorage {
         this.data[roomId].users[userId] = {
             timeoutId: null,
             socketId: socketId,
+            role,
+            // Identifies the user's session token. Leaving ends it, except for the owner and
+            // editors, who get their kept session back.
+            sessionId: this.getKeptSessions(roomId)[userId] || crypto.randomBytes(16).toString('hex'),
             joinedAt: new Date().toISOString(),
             lastSeen: new Date().toISOString()
         };
+        this.updateKeptSessions(roomId);
 
         this.data[roomId].lastUpdated = new Date().toISOString();
     }
@@ -143,6 +761,26 @@ class DataStorage {
         }
     }
 
+    // Merge display name/color into the user's record
+    setUserProfile(roomId, userId, profile) {
+        const user = this.data[roomId]?.users?.[userId];
+        if (user) {
+            Object.assign(user, profile);
+        }
+    }
+
+    // Public member list for presence events
+    getRoomMembers(roomId) {
+        return Object.entries(this.data[roomId]?.users || {}).map(([userId, user]) => ({
+            userId,
+            name: user.name || null,
+            color: user.color || null,
+            connected: Boolean(user.socketId),
+            role: user.role || 'participant',
+            joinedAt: user.joinedAt
+        }));
+    }
+
     updateUserLastSeen(roomId, userId) {
         if (this.data[roomId]?.users?.[userId]) {
             this.data[roomId].users[userId].lastSeen = new Date().toISOString();
@@ -153,10 +791,72 @@ class DataStorage {
         return this.data[roomId]?.users ? Object.keys(this.data[roomId].users).length : 0;
     }
 
+    isSpectator(roomId, userId) {
+        return this.data[roomId]?.users?.[userId]?.role === 'spectator';
+    }
+
+    // Users counted toward the room capacity (users from before roles existed are participants)
+    getParticipantCount(roomId) {
+        return Object.values(this.data[roomId]?.users || {}).filter(user => user.role !== 'spectator').length;
+    }
+
+    getSpectatorCount(roomId) {
+        return this.getUserCount(roomId) - this.getParticipantCount(roomId);
+    }
+
     userExists(roomId, userId) {
         return this.data[roomId]?.users && this.data[roomId].users[userId];
     }
 
+    // Token proving a socket is this user, handed out on init and required to init as them again
+    getSessionToken(roomId, userId) {
+        const sessionId = this.data[roomId]?.users?.[userId]?.sessionId;
+        return sessionId ? createSessionToken(this.sessionKey, roomId, userId, sessionId) : null;
+    }
+
+    // User a session token was issued to, while they are in the room (or at any time for the
+    // owner and editors), otherwise null
+    getSessionUserId(roomId, token) {
+        const session = readSessionToken(this.sessionKey, token);
+        if (!session || session.roomId !== roomId || typeof session.userId !== 'string') return null;
+
+        const sessionId = this.data[roomId]?.users?.[session.userId]?.sessionId ||
+            this.getKeptSessions(roomId)[session.userId];
+        return sessionId && sessionId === session.sessionId ? session.userId : null;
+    }
+
+    // userId -> sessionId of the room's owner and editors. Sessions kept under another key
+    // (a changed SESSION_SECRET, or a backup restored on another server) can't be proven
+    // anymore and are ignored, so those users claim their IDs again by joining.
+    getKeptSessions(roomId) {
+        const access = this.data[roomId]?.access;
+        return access?.sessionKeyId === this.sessionKeyId ? access.sessions || {} : {};
+    }
+
+    // Whether the user ID belongs to an owner or editor with a kept session, so only their
+    // token can join as it
+    hasKeptSession(roomId, userId) {
+        return Boolean(this.getKeptSessions(roomId)[userId]);
+    }
+
+    // Keep the sessions of the owner and editors with the room data, and drop those of users
+    // who lost the role
+    updateKeptSessions(roomId) {
+        const access = this.getRoomAccess(roomId);
+        if (!access) return;
+
+        const keptSessions = this.getKeptSessions(roomId);
+        const sessions = {};
+        [access.ownerId, ...(access.editors || [])].filter(Boolean).forEach(userId => {
+            const sessionId = keptSessions[userId] || this.data[roomId].users?.[userId]?.sessionId;
+            if (sessionId) {
+                sessions[userId] = sessionId;
+            }
+        });
+        access.sessions = sessions;
+        access.sessionKeyId = this.sessionKeyId;
+    }
+
     getAllRooms() {
         return Object.keys(this.data).map(roomId => {
             const room = this.data[roomId];
@@ -166,20 +866,69 @@ class DataStorage {
                 roomId,
                 totalUsers: userCount,
                 activeUsers,
+                spectators: this.getSpectatorCount(roomId),
                 lastUpdated: room.lastUpdated,
-                textLength: room.text ? room.text.length : 0
+                documentCount: Object.keys(room.documents || {}).length,
+                attachmentCount: Object.keys(room.attachments || {}).length,
+                textLength: Object.values(room.documents || {})
+                    .reduce((length, document) => length + (document.text || '').length, 0),
+                passwordProtected: Boolean(room.access?.passwordHash),
+                readOnly: Boolean(room.access?.readOnly),
+                encrypted: Boolean(room.encrypted),
+                pinned: Boolean(room.retention?.pinned),
+                expiresAt: this.getRoomSettings(roomId).expiresAt
+            };
+        });
+    }
+
+    // Admin search over the text of this instance's rooms, see SearchIndex
+    searchRooms(query, limit) {
+        return this.searchIndex.search(query, limit);
+    }
+
+    // Full room details for admin inspection
+    getRoomDetails(roomId) {
+        const room = this.data[roomId];
+        if (!room) return null;
+
+        const users = {};
+        Object.entries(room.users || {}).forEach(([userId, user]) => {
+            users[userId] = {
+                joinedAt: user.joinedAt,
+                lastSeen: user.lastSeen,
+                connected: Boolean(user.socketId),
+                role: user.role || 'participant'
             };
         });
+
+        const documents = this.getDocuments(roomId).map(document => ({
+            ...document,
+            text: this.getDocument(roomId, document.docId).text || '',
+            revisions: this.getRevisions(roomId, document.docId)
+        }));
+
+        return {
+            roomId,
+            documents,
+            attachments: this.getAttachments(roomId),
+            settings: this.getRoomSettings(roomId),
+            users,
+            createdAt: room.createdAt,
+            lastUpdated: room.lastUpdated
+        };
     }
 
-    hasActiveUsers() {
-        return Object.values(this.data).some(room =>
+    // Whether any user is connected, in one room or across all rooms
+    hasActiveUsers(roomId) {
+        const rooms = roomId ? [this.data[roomId]].filter(Boolean) : Object.values(this.data);
+        return rooms.some(room =>
             room.users && Object.values(room.users).some(user => user.socketId)
         );
     }
 
-    disconnectUser(roomId, userId) {
-        if (this.data[roomId]?.users?.[userId]) {
+    // Mark the user disconnected, unless another socket has taken over since
+    disconnectUser(roomId, userId, socketId) {
+        if (this.data[roomId]?.users?.[userId]?.socketId === socketId) {
             this.data[roomId].users[userId].socketId = null;
             return this.data[roomId].users[userId];
         }
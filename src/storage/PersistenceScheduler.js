@@ -0,0 +1,63 @@
+const logger = require('../utils/logger');
+
+// Coalesces room saves: the first change schedules a flush after `interval` ms and
+// later changes to the same room before that flush ride along with it.
+class PersistenceScheduler {
+    constructor(save, interval) {
+        this.save = save;
+        this.interval = interval;
+        this.timers = new Map();
+        this.inFlight = new Map();
+    }
+
+    schedule(roomId) {
+        if (this.timers.has(roomId)) return;
+
+        const timeoutId = setTimeout(() => {
+            this.flush(roomId).catch(error => {
+                logger.error(`Error flushing room ${roomId}: ${error.message}`);
+            });
+        }, this.interval);
+        this.timers.set(roomId, timeoutId);
+    }
+
+    // Drop a pending save, e.g. when the room is deleted
+    cancel(roomId) {
+        clearTimeout(this.timers.get(roomId));
+        this.timers.delete(roomId);
+    }
+
+    // Save the room now, after any save of it that is already running
+    async flush(roomId) {
+        this.cancel(roomId);
+
+        const previous = this.inFlight.get(roomId);
+        const current = (previous ? previous.catch(() => {}) : Promise.resolve())
+            .then(() => this.save(roomId));
+
+        this.inFlight.set(roomId, current);
+        try {
+            await current;
+        } finally {
+            if (this.inFlight.get(roomId) === current) {
+                this.inFlight.delete(roomId);
+            }
+        }
+    }
+
+    // Wait for a running save of the room to finish
+    async settle(roomId) {
+        const current = this.inFlight.get(roomId);
+        if (current) {
+            await current.catch(() => {});
+        }
+    }
+
+    // Save every room with pending changes and wait for running saves
+    async flushAll() {
+        const pending = [...this.timers.keys()].map(roomId => this.flush(roomId));
+        await Promise.allSettled([...pending, ...this.inFlight.values()]);
+    }
+}
+
+module.exports = PersistenceScheduler;
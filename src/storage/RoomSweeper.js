@@ -0,0 +1,65 @@
+const logger = require('../utils/logger');
+
+// Periodically removes rooms idle past their expiry, including rooms nobody has
+// joined since they were loaded at startup and rooms only held in storage. Each room
+// is checked through `expireRoom`, which sends rooms that look expired to their home
+// instance in cluster mode; `shouldSweep` lets only one instance sweep at a time.
+class RoomSweeper {
+    constructor({ listRoomIds, expireRoom, interval, shouldSweep = async () => true }) {
+        this.listRoomIds = listRoomIds;
+        this.expireRoom = expireRoom;
+        this.interval = interval;
+        this.shouldSweep = shouldSweep;
+        this.timer = null;
+        this.running = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.run(), this.interval);
+        this.run();
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        await this.running;
+    }
+
+    // Start a sweep unless one is still going
+    run() {
+        if (!this.running) {
+            this.running = this.sweep()
+                .catch(error => logger.error(`Error sweeping rooms: ${error.message}`))
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+        return this.running;
+    }
+
+    async sweep() {
+        if (!await this.shouldSweep()) return 0;
+
+        let removed = 0;
+        for (const roomId of await this.listRoomIds()) {
+            // Stop early on shutdown
+            if (!this.timer) break;
+
+            try {
+                if (await this.expireRoom(roomId)) {
+                    removed++;
+                }
+            } catch (error) {
+                logger.error(`Error expiring room ${roomId}: ${error.message}`, { roomId });
+            }
+        }
+
+        if (removed > 0) {
+            logger.info(`Room sweep removed ${removed} expired rooms`);
+        }
+        return removed;
+    }
+}
+
+module.exports = RoomSweeper;
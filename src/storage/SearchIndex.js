@@ -0,0 +1,200 @@
+// In-memory inverted index over document names and text, for admin search. Changes only mark
+// documents dirty, and dirty documents are re-tokenized on the next search, so typing costs
+// nothing until someone searches. Encrypted and password-protected rooms are never indexed.
+
+const WORD = /[\p{L}\p{N}]+/gu;
+const MAX_TOKEN_LENGTH = 50;
+const SNIPPET_CONTEXT = 60; // Characters kept either side of a match
+const MAX_SNIPPETS = 3; // Per document
+
+// Lowercased words of a text, with how often each occurs
+const countTokens = (text) => {
+    const counts = new Map();
+    for (const [word] of text.matchAll(WORD)) {
+        const token = word.toLowerCase().slice(0, MAX_TOKEN_LENGTH);
+        counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    return counts;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search terms of a query: its distinct words, each matching words that start with it
+const getTerms = (query) => [...countTokens(query).keys()];
+
+const isIndexable = (room) => Boolean(room) && !room.encrypted && !room.access?.passwordHash;
+
+const getKey = (roomId, docId) => `${roomId}\n${docId}`;
+
+// Up to MAX_SNIPPETS windows of the text around matches. Highlights are [start, end)
+// offsets of the matched words within the snippet text.
+const getSnippets = (text, terms) => {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    const snippets = [];
+    let current = null;
+
+    for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+
+        // Matches close to the previous one share its snippet
+        if (current && start < current.end) {
+            current.end = Math.min(text.length, Math.max(current.end, end + SNIPPET_CONTEXT));
+            current.matches.push([start, end]);
+            continue;
+        }
+        if (snippets.length === MAX_SNIPPETS) break;
+
+        current = {
+            start: Math.max(0, start - SNIPPET_CONTEXT),
+            end: Math.min(text.length, end + SNIPPET_CONTEXT),
+            matches: [[start, end]]
+        };
+        snippets.push(current);
+    }
+
+    return snippets.map(snippet => ({
+        text: text.slice(snippet.start, snippet.end),
+        highlights: snippet.matches.map(([start, end]) => [start - snippet.start, end - snippet.start])
+    }));
+};
+
+class SearchIndex {
+    // `getRoom` returns the in-memory room data for a room ID, or null
+    constructor(getRoom) {
+        this.getRoom = getRoom;
+        // token -> Map(document key -> occurrences)
+        this.postings = new Map();
+        // document key -> Map(token -> occurrences), to take a document out again
+        this.documents = new Map();
+        // roomId -> doc IDs indexed or waiting to be
+        this.rooms = new Map();
+        this.dirty = new Set();
+    }
+
+    // Queue a document for (re)indexing
+    markDocument(roomId, docId) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, new Set());
+        }
+        this.rooms.get(roomId).add(docId);
+        this.dirty.add(getKey(roomId, docId));
+    }
+
+    // Queue every document of a room, e.g. after it was loaded or its password changed
+    markRoom(roomId) {
+        const room = this.getRoom(roomId);
+        const docIds = new Set([...this.rooms.get(roomId) || [], ...Object.keys(room?.documents || {})]);
+        docIds.forEach(docId => this.markDocument(roomId, docId));
+    }
+
+    removeDocument(roomId, docId) {
+        const key = getKey(roomId, docId);
+        const counts = this.documents.get(key);
+        counts?.forEach((count, token) => {
+            const posting = this.postings.get(token);
+            posting.delete(key);
+            if (posting.size === 0) {
+                this.postings.delete(token);
+            }
+        });
+
+        this.documents.delete(key);
+        this.dirty.delete(key);
+        this.rooms.get(roomId)?.delete(docId);
+        if (this.rooms.get(roomId)?.size === 0) {
+            this.rooms.delete(roomId);
+        }
+    }
+
+    removeRoom(roomId) {
+        [...this.rooms.get(roomId) || []].forEach(docId => this.removeDocument(roomId, docId));
+    }
+
+    // Re-tokenize the dirty documents that still exist in indexable rooms
+    refresh() {
+        [...this.dirty].forEach(key => {
+            const [roomId, docId] = key.split('\n');
+            const room = this.getRoom(roomId);
+            const document = room?.documents?.[docId];
+
+            this.removeDocument(roomId, docId);
+            if (!document || !isIndexable(room)) return;
+
+            const counts = countTokens(`${document.name || ''} ${document.text || ''}`);
+            counts.forEach((count, token) => {
+                if (!this.postings.has(token)) {
+                    this.postings.set(token, new Map());
+                }
+                this.postings.get(token).set(key, count);
+            });
+            this.documents.set(key, counts);
+            if (!this.rooms.has(roomId)) {
+                this.rooms.set(roomId, new Set());
+            }
+            this.rooms.get(roomId).add(docId);
+        });
+    }
+
+    // Occurrences per document key of words starting with `term`
+    matchTerm(term) {
+        const matches = new Map();
+        this.postings.forEach((posting, token) => {
+            if (!token.startsWith(term)) return;
+            posting.forEach((count, key) => matches.set(key, (matches.get(key) || 0) + count));
+        });
+        return matches;
+    }
+
+    // Rooms with documents containing every word of the query (as a word prefix), best first:
+    // [{ roomId, score, documents: [{ docId, name, score, snippets: [{ text, highlights }] }] }]
+    search(query, limit) {
+        const terms = getTerms(query);
+        if (terms.length === 0) return [];
+        this.refresh();
+
+        // Documents matching every term, scored by the occurrences of all of them
+        let scores = null;
+        for (const term of terms) {
+            const matches = this.matchTerm(term);
+            if (scores) {
+                scores.forEach((score, key) => {
+                    if (matches.has(key)) {
+                        scores.set(key, score + matches.get(key));
+                    } else {
+                        scores.delete(key);
+                    }
+                });
+            } else {
+                scores = matches;
+            }
+            if (scores.size === 0) return [];
+        }
+
+        const rooms = new Map();
+        scores.forEach((score, key) => {
+            const [roomId, docId] = key.split('\n');
+            if (!rooms.has(roomId)) {
+                rooms.set(roomId, { roomId, score: 0, documents: [] });
+            }
+            const result = rooms.get(roomId);
+            result.score += score;
+            result.documents.push({ docId, score });
+        });
+
+        return [...rooms.values()]
+            .sort((a, b) => b.score - a.score || a.roomId.localeCompare(b.roomId))
+            .slice(0, limit)
+            .map(result => ({
+                ...result,
+                documents: result.documents
+                    .sort((a, b) => b.score - a.score)
+                    .map(({ docId, score }) => {
+                        const document = this.getRoom(result.roomId).documents[docId];
+                        return { docId, name: document.name, score, snippets: getSnippets(document.text || '', terms) };
+                    })
+            }));
+    }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,140 @@
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { StorageAdapter, CorruptRoomError } = require('./StorageAdapter');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const TEMP_SUFFIX = '.tmp';
+const PLAIN_EXTENSION = '.json';
+const GZIP_EXTENSION = '.json.gz';
+
+const isGzip = (buffer) => buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+// One JSON file per room: pretty-printed <dataDir>/<roomId>.json, or compact and gzipped
+// <dataDir>/<roomId>.json.gz with `compress`. Both kinds are read whatever the setting, and
+// saving a room replaces the file of the other kind.
+class JsonFileAdapter extends StorageAdapter {
+    constructor({ dataDir, compress = false }) {
+        super();
+        this.dataDir = dataDir;
+        this.compress = compress;
+        this.quarantineDir = path.join(dataDir, 'corrupt');
+        this.archiveDir = path.join(dataDir, 'archive');
+    }
+
+    getFilePath(roomId, compressed = this.compress) {
+        return path.join(this.dataDir, `${roomId}${compressed ? GZIP_EXTENSION : PLAIN_EXTENSION}`);
+    }
+
+    // The room's existing files, newest first. There are two only when a save that switched
+    // the kind was interrupted before the old file was removed.
+    async getRoomFiles(roomId) {
+        const files = [];
+        for (const compressed of [false, true]) {
+            const filePath = this.getFilePath(roomId, compressed);
+            try {
+                const stats = await fs.stat(filePath);
+                files.push({ filePath, extension: compressed ? GZIP_EXTENSION : PLAIN_EXTENSION, modified: stats.mtimeMs });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return files.sort((a, b) => b.modified - a.modified);
+    }
+
+    // Move every file of the room into `dir`, returns where the newest one went
+    async moveRoomFiles(roomId, dir) {
+        const files = await this.getRoomFiles(roomId);
+        if (files.length === 0) {
+            throw Object.assign(new Error(`No file for room ${roomId}`), { code: 'ENOENT' });
+        }
+
+        await fs.mkdir(dir, { recursive: true });
+        const targets = [];
+        for (const { filePath, extension } of files) {
+            const target = path.join(dir, `${roomId}.${Date.now()}${extension}`);
+            await fs.rename(filePath, target);
+            targets.push(target);
+        }
+        return targets[0];
+    }
+
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        // Temp files left by a crash mid-write - the previous room file is still intact
+        const files = await fs.readdir(this.dataDir);
+        for (const file of files.filter(name => name.endsWith(TEMP_SUFFIX))) {
+            await fs.unlink(path.join(this.dataDir, file)).catch(() => {});
+        }
+    }
+
+    async listRooms() {
+        const files = await fs.readdir(this.dataDir);
+        const roomIds = files
+            .filter(file => file.endsWith(PLAIN_EXTENSION) || file.endsWith(GZIP_EXTENSION))
+            .map(file => file.slice(0, -(file.endsWith(GZIP_EXTENSION) ? GZIP_EXTENSION : PLAIN_EXTENSION).length));
+        return [...new Set(roomIds)];
+    }
+
+    // Gzipped files are recognized by their content, not only their name
+    async loadRoom(roomId) {
+        const [file] = await this.getRoomFiles(roomId);
+        if (!file) return null;
+
+        let content;
+        try {
+            content = await fs.readFile(file.filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        // Truncated or damaged gzip data fails in gunzip, before JSON.parse sees it
+        try {
+            const json = isGzip(content) ? await gunzip(content) : content;
+            return JSON.parse(json.toString('utf8'));
+        } catch (error) {
+            throw new CorruptRoomError(`Unreadable room file ${file.filePath}: ${error.message}`, error);
+        }
+    }
+
+    // Write to a temp file and rename it over the room file, so a crash never leaves a partial file
+    async saveRoom(roomId, roomData) {
+        const filePath = this.getFilePath(roomId);
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}${TEMP_SUFFIX}`;
+
+        try {
+            const content = this.compress
+                ? await gzip(JSON.stringify(roomData))
+                : JSON.stringify(roomData, null, 2);
+            await fs.writeFile(tempPath, content);
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+
+        // The file of the other kind is out of date now
+        await fs.rm(this.getFilePath(roomId, !this.compress), { force: true });
+    }
+
+    async deleteRoom(roomId) {
+        await Promise.all([false, true].map(compressed => fs.rm(this.getFilePath(roomId, compressed), { force: true })));
+    }
+
+    // Move an unreadable room file to <dataDir>/corrupt/ for manual inspection
+    async quarantineRoom(roomId) {
+        return this.moveRoomFiles(roomId, this.quarantineDir);
+    }
+
+    // Move an expired room file to <dataDir>/archive/
+    async archiveRoom(roomId) {
+        return this.moveRoomFiles(roomId, this.archiveDir);
+    }
+}
+
+module.exports = JsonFileAdapter;
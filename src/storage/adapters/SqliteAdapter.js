@@ -0,0 +1,107 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { StorageAdapter, CorruptRoomError } = require('./StorageAdapter');
+
+// All rooms in a single SQLite file, one row per room holding the room JSON
+class SqliteAdapter extends StorageAdapter {
+    constructor({ filename }) {
+        super();
+        this.filename = filename;
+        this.db = null;
+    }
+
+    async init() {
+        // Optional dependency - only needed when this adapter is selected
+        const Database = require('better-sqlite3');
+
+        await fs.mkdir(path.dirname(this.filename), { recursive: true });
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rooms (
+                room_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS corrupt_rooms (
+                room_id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                quarantined_at TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS archived_rooms (
+                room_id TEXT NOT NULL,
+                data TEXT NOT NULL,
+                archived_at TEXT NOT NULL
+            );
+        `);
+
+        this.statements = {
+            list: this.db.prepare('SELECT room_id FROM rooms'),
+            load: this.db.prepare('SELECT data FROM rooms WHERE room_id = ?'),
+            save: this.db.prepare(`
+                INSERT INTO rooms (room_id, data, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(room_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM rooms WHERE room_id = ?'),
+            quarantine: this.db.prepare(`
+                INSERT INTO corrupt_rooms (room_id, data, quarantined_at)
+                SELECT room_id, data, ? FROM rooms WHERE room_id = ?
+            `),
+            archive: this.db.prepare(`
+                INSERT INTO archived_rooms (room_id, data, archived_at)
+                SELECT room_id, data, ? FROM rooms WHERE room_id = ?
+            `)
+        };
+    }
+
+    async listRooms() {
+        return this.statements.list.all().map(row => row.room_id);
+    }
+
+    async loadRoom(roomId) {
+        const row = this.statements.load.get(roomId);
+        if (!row) return null;
+
+        try {
+            return JSON.parse(row.data);
+        } catch (error) {
+            throw new CorruptRoomError(`Unreadable data for room ${roomId}: ${error.message}`, error);
+        }
+    }
+
+    async saveRoom(roomId, roomData) {
+        this.statements.save.run(roomId, JSON.stringify(roomData), new Date().toISOString());
+    }
+
+    async deleteRoom(roomId) {
+        this.statements.delete.run(roomId);
+    }
+
+    // Move an unreadable row to the corrupt_rooms table
+    async quarantineRoom(roomId) {
+        this.db.transaction(() => {
+            this.statements.quarantine.run(new Date().toISOString(), roomId);
+            this.statements.delete.run(roomId);
+        })();
+        return `${this.filename} (corrupt_rooms)`;
+    }
+
+    // Move an expired room to the archived_rooms table
+    async archiveRoom(roomId) {
+        this.db.transaction(() => {
+            this.statements.archive.run(new Date().toISOString(), roomId);
+            this.statements.delete.run(roomId);
+        })();
+        return `${this.filename} (archived_rooms)`;
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,50 @@
+// Thrown by loadRoom for stored data that can't be decoded or parsed, so the room gets quarantined
+class CorruptRoomError extends Error {
+    constructor(message, cause) {
+        super(message, { cause });
+        this.name = 'CorruptRoomError';
+    }
+}
+
+// Interface for room persistence backends.
+// Adapters store the serialized room object (no runtime fields) keyed by room ID.
+class StorageAdapter {
+    // Prepare the backend (create directories, open connections)
+    async init() {}
+
+    // IDs of all stored rooms
+    async listRooms() {
+        throw new Error(`${this.constructor.name} does not implement listRooms`);
+    }
+
+    // Stored room data, or null if the room does not exist. Unreadable data throws CorruptRoomError.
+    async loadRoom(roomId) {
+        throw new Error(`${this.constructor.name} does not implement loadRoom`);
+    }
+
+    async saveRoom(roomId, roomData) {
+        throw new Error(`${this.constructor.name} does not implement saveRoom`);
+    }
+
+    async deleteRoom(roomId) {
+        throw new Error(`${this.constructor.name} does not implement deleteRoom`);
+    }
+
+    // Move unreadable room data out of the way, returns where it went
+    async quarantineRoom(roomId) {
+        throw new Error(`${this.constructor.name} does not implement quarantineRoom`);
+    }
+
+    // Move an expired room out of the active rooms, keeping its data; returns where it went
+    async archiveRoom(roomId) {
+        throw new Error(`${this.constructor.name} does not implement archiveRoom`);
+    }
+
+    // Release resources on shutdown
+    async close() {}
+}
+
+module.exports = {
+    StorageAdapter,
+    CorruptRoomError
+};
@@ -0,0 +1,28 @@
+const path = require('path');
+const CONFIG = require('../../config/constants');
+const { StorageAdapter, CorruptRoomError } = require('./StorageAdapter');
+const JsonFileAdapter = require('./JsonFileAdapter');
+const SqliteAdapter = require('./SqliteAdapter');
+
+// dataDir replaces the configured location, with every file kept inside it
+const ADAPTERS = {
+    json: (dataDir) => new JsonFileAdapter({ dataDir: dataDir || CONFIG.DATA_DIR, compress: CONFIG.STORAGE_COMPRESSION }),
+    sqlite: (dataDir) => new SqliteAdapter({ filename: dataDir ? path.join(dataDir, 'rooms.db') : CONFIG.SQLITE_FILE })
+};
+
+// Create the storage adapter registered under the given name
+const createStorageAdapter = (type = CONFIG.STORAGE_ADAPTER, { dataDir } = {}) => {
+    const factory = ADAPTERS[type];
+    if (!factory) {
+        throw new Error(`Unknown storage adapter "${type}" (available: ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return factory(dataDir);
+};
+
+module.exports = {
+    createStorageAdapter,
+    StorageAdapter,
+    CorruptRoomError,
+    JsonFileAdapter,
+    SqliteAdapter
+};
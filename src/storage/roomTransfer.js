@@ -0,0 +1,242 @@
+const zlib = require('zlib');
+const CONFIG = require('../config/constants');
+const {
+    sanitizeRoomId,
+    sanitizeUserId,
+    sanitizeDocumentId,
+    sanitizeText,
+    sanitizeDisplayName,
+    isValidRoomData
+} = require('../utils/validation');
+
+// Room exports and whole-server backups. Exports are for users moving a room between
+// servers, so they leave out the password hash, members and attachment files. Backups are
+// for admins and hold every room exactly as storage persists it.
+
+const EXPORT_FORMAT = 'sync-board-room';
+const BACKUP_FORMAT = 'sync-board-backup';
+const FORMAT_VERSION = 1;
+
+// Thrown for uploaded exports and backups that can't be used; the message is shown to the client
+class RoomTransferError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RoomTransferError';
+    }
+}
+
+// Full room export with metadata, for the JSON download
+const createRoomExport = (roomId, roomData) => ({
+    format: EXPORT_FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    roomId,
+    encrypted: Boolean(roomData.encrypted),
+    settings: {
+        readOnly: Boolean(roomData.access?.readOnly),
+        editors: roomData.access?.editors || [],
+        capacity: roomData.access?.capacity || null,
+        ttl: roomData.retention?.ttl || null
+    },
+    documents: Object.entries(roomData.documents || {}).map(([docId, document]) => ({
+        docId,
+        name: document.name,
+        text: document.text || '',
+        revision: document.revision || 0,
+        history: document.history || [],
+        createdAt: document.createdAt,
+        lastUpdated: document.lastUpdated
+    })),
+    createdAt: roomData.createdAt,
+    lastUpdated: roomData.lastUpdated
+});
+
+// Markdown of a room export: every document under its name as a heading
+const createMarkdownExport = (roomExport) => roomExport.documents
+    .map(document => `# ${document.name}\n\n${document.text}`)
+    .join('\n\n');
+
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Saved revisions of an imported document that look like the ones the server writes
+const importHistory = (history, encrypted) => (Array.isArray(history) ? history : [])
+    .filter(entry => entry && Number.isInteger(entry.revision) && entry.revision >= 0 &&
+        sanitizeText(entry.text, CONFIG.MAX_TEXT_LENGTH, { encrypted }) === entry.text)
+    .slice(-CONFIG.MAX_REVISION_HISTORY)
+    .map(entry => ({
+        revision: entry.revision,
+        userId: sanitizeUserId(entry.userId) || null,
+        createdAt: isTimestamp(entry.createdAt) ? entry.createdAt : new Date().toISOString(),
+        size: entry.text.length,
+        text: entry.text
+    }));
+
+// Room data for a new room from a JSON export. Only known fields are taken over, and
+// anything out of the server's limits is rejected rather than cut.
+const parseRoomExport = (roomExport, ownerId) => {
+    if (!roomExport || roomExport.format !== EXPORT_FORMAT) {
+        throw new RoomTransferError('Not a room export');
+    }
+    if (roomExport.version !== FORMAT_VERSION) {
+        throw new RoomTransferError(`Unsupported export version ${roomExport.version}`);
+    }
+    if (!Array.isArray(roomExport.documents) || roomExport.documents.length === 0) {
+        throw new RoomTransferError('Export has no documents');
+    }
+    if (roomExport.documents.length > CONFIG.MAX_DOCUMENTS_PER_ROOM) {
+        throw new RoomTransferError(`Export has more than ${CONFIG.MAX_DOCUMENTS_PER_ROOM} documents`);
+    }
+
+    const encrypted = roomExport.encrypted === true;
+    const now = new Date().toISOString();
+    const documents = {};
+    roomExport.documents.forEach(document => {
+        const docId = sanitizeDocumentId(document?.docId);
+        if (!docId || documents[docId]) {
+            throw new RoomTransferError('Export has a missing or duplicate document ID');
+        }
+        if (sanitizeText(document.text, CONFIG.MAX_TEXT_LENGTH, { encrypted }) !== document.text) {
+            throw new RoomTransferError(`Document ${docId} has invalid text or is longer than ${CONFIG.MAX_TEXT_LENGTH} characters`);
+        }
+
+        const history = importHistory(document.history, encrypted);
+        const revision = Number.isInteger(document.revision) && document.revision >= 0 ? document.revision : 0;
+        documents[docId] = {
+            name: sanitizeDisplayName(document.name) || docId,
+            text: document.text,
+            // Never behind the saved revisions
+            revision: Math.max(revision, ...history.map(entry => entry.revision)),
+            history,
+            createdAt: isTimestamp(document.createdAt) ? document.createdAt : now,
+            lastUpdated: isTimestamp(document.lastUpdated) ? document.lastUpdated : now
+        };
+    });
+
+    const settings = roomExport.settings || {};
+    const capacity = Number.isInteger(settings.capacity) && settings.capacity > 0 ? settings.capacity : null;
+    const ttl = Number.isInteger(settings.ttl) && settings.ttl > 0
+        ? Math.min(Math.max(settings.ttl, CONFIG.ROOM_TTL_MIN), CONFIG.ROOM_TTL_MAX)
+        : null;
+
+    return {
+        roomId: sanitizeRoomId(roomExport.roomId) || null,
+        roomData: {
+            documents,
+            access: {
+                ownerId,
+                passwordHash: null,
+                readOnly: settings.readOnly === true,
+                editors: Array.isArray(settings.editors) ? [...new Set(settings.editors.map(sanitizeUserId).filter(Boolean))] : [],
+                capacity
+            },
+            retention: { pinned: false, ttl },
+            encrypted,
+            users: {},
+            createdAt: isTimestamp(roomExport.createdAt) ? roomExport.createdAt : now,
+            lastUpdated: now
+        }
+    };
+};
+
+// Room data for a new room from an uploaded file: a JSON export, or plain text/markdown
+// that becomes the default document. Returns { roomId (from the export, else null), roomData }.
+const parseRoomImport = (buffer, mediaType, ownerId = null) => {
+    const content = buffer.toString('utf8');
+
+    if (mediaType === 'application/json') {
+        let roomExport;
+        try {
+            roomExport = JSON.parse(content);
+        } catch {
+            throw new RoomTransferError('Invalid JSON');
+        }
+        return parseRoomExport(roomExport, ownerId);
+    }
+
+    if (content.length > CONFIG.MAX_TEXT_LENGTH) {
+        throw new RoomTransferError(`Text is longer than ${CONFIG.MAX_TEXT_LENGTH} characters`);
+    }
+
+    const now = new Date().toISOString();
+    return {
+        roomId: null,
+        roomData: {
+            documents: {
+                [CONFIG.DEFAULT_DOCUMENT_ID]: {
+                    name: CONFIG.DEFAULT_DOCUMENT_NAME,
+                    text: content,
+                    revision: 0,
+                    history: [],
+                    createdAt: now,
+                    lastUpdated: now
+                }
+            },
+            access: { ownerId, passwordHash: null, readOnly: false, editors: [], capacity: null },
+            retention: { pinned: false, ttl: null },
+            encrypted: false,
+            users: {},
+            createdAt: now,
+            lastUpdated: now
+        }
+    };
+};
+
+// Gzipped JSON of persisted rooms by room ID
+const createBackup = (rooms) => zlib.gzipSync(JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: FORMAT_VERSION,
+    createdAt: new Date().toISOString(),
+    rooms
+}));
+
+const isGzip = (buffer) => buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+// Whether a file is a backup rather than a room export: gzipped, or JSON in the backup format
+const isBackup = (buffer) => {
+    if (isGzip(buffer)) return true;
+    try {
+        return JSON.parse(buffer.toString('utf8'))?.format === BACKUP_FORMAT;
+    } catch {
+        return false;
+    }
+};
+
+// Rooms of a backup (gzipped or plain JSON), split into the ones that pass the checks
+// rooms read from storage get and the IDs of the ones that don't
+const parseBackup = (buffer) => {
+    let backup;
+    try {
+        const json = isGzip(buffer) ? zlib.gunzipSync(buffer) : buffer;
+        backup = JSON.parse(json.toString('utf8'));
+    } catch {
+        throw new RoomTransferError('Backup is not valid JSON or gzipped JSON');
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT || !backup.rooms || typeof backup.rooms !== 'object') {
+        throw new RoomTransferError('Not a backup');
+    }
+    if (backup.version !== FORMAT_VERSION) {
+        throw new RoomTransferError(`Unsupported backup version ${backup.version}`);
+    }
+
+    const rooms = {};
+    const invalid = [];
+    Object.entries(backup.rooms).forEach(([roomId, roomData]) => {
+        if (sanitizeRoomId(roomId) === roomId && isValidRoomData(roomData)) {
+            rooms[roomId] = roomData;
+        } else {
+            invalid.push(roomId);
+        }
+    });
+    return { rooms, invalid, createdAt: backup.createdAt || null };
+};
+
+module.exports = {
+    RoomTransferError,
+    createRoomExport,
+    createMarkdownExport,
+    parseRoomImport,
+    createBackup,
+    isBackup,
+    parseBackup
+};
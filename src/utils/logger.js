@@ -1,123 +1,207 @@
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
+const CONFIG = require('../config/constants');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Buffered entries are written once they reach this size, or after LOG_FLUSH_INTERVAL
+const MAX_BUFFER_SIZE = 64 * 1024;
+
+// Date parts in a timezone, falling back to UTC for unknown zone names
+const createDateFormat = (timeZone) => {
+  const options = {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  };
+  try {
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone });
+  } catch {
+    console.warn(`[Logger] Unknown timezone ${timeZone}, using UTC`);
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone: 'UTC' });
+  }
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
 
 class Logger {
-  constructor() {
-    this.logDir = path.join(__dirname, '../../logs');
+  constructor({
+    level = CONFIG.LOG_LEVEL,
+    format = CONFIG.LOG_FORMAT,
+    timeZone = CONFIG.LOG_TIMEZONE,
+    logDir = CONFIG.LOG_DIR,
+    maxLogSize = CONFIG.LOG_MAX_SIZE,
+    maxFiles = CONFIG.LOG_MAX_FILES,
+    flushInterval = CONFIG.LOG_FLUSH_INTERVAL
+  } = {}) {
+    this.minLevel = LEVELS[level] || LEVELS.info;
+    this.pretty = format === 'pretty';
+    this.dateFormat = createDateFormat(timeZone);
+    this.logDir = logDir;
     this.logFile = path.join(this.logDir, 'server.log');
-    this.maxLogSize = 10 * 1024 * 1024; // 10MB
-    this.clearSize = 100 * 1024; // 100KB to clear from beginning
+    this.maxLogSize = maxLogSize;
+    this.maxFiles = maxFiles;
+    this.flushInterval = flushInterval;
+
+    this.buffer = [];
+    this.bufferSize = 0;
+    this.flushTimer = null;
+    this.fileSize = 0;
     this.fileLoggingEnabled = false;
-    this.initializeLogging();
+    // Writes run one after another, starting once the log file is ready
+    this.writing = this.initializeLogging();
+
+    // Whatever is still buffered when the process exits is written synchronously
+    process.on('exit', () => this.flushSync());
   }
 
   async initializeLogging() {
     try {
-      await fs.access(this.logDir);
-    } catch {
-      try {
-        await fs.mkdir(this.logDir, { recursive: true });
-      } catch (error) {
-        console.warn(`[Logger] Could not create log directory: ${error.message}. File logging disabled.`);
-        this.fileLoggingEnabled = false;
-        return;
-      }
+      await fs.promises.mkdir(this.logDir, { recursive: true });
+    } catch (error) {
+      console.warn(`[Logger] Could not create log directory: ${error.message}. File logging disabled.`);
+      return;
     }
 
     try {
-      await fs.access(this.logFile, fs.constants.F_OK);
+      this.fileSize = (await fs.promises.stat(this.logFile)).size;
     } catch {
-      try {
-        await fs.writeFile(this.logFile, '');
-      } catch (error) {
-        console.warn(`[Logger] Could not create log file: ${error.message}. File logging disabled.`);
-        this.fileLoggingEnabled = false;
-        return;
-      }
+      this.fileSize = 0;
     }
 
     this.fileLoggingEnabled = true;
     console.log(`[Logger] File logging enabled: ${this.logFile}`);
   }
 
-  async log(level, message) {
-    const timestamp = new Date().toLocaleString('en-IN', {
-      timeZone: 'Asia/Kolkata',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit',
-      hour12: false
+  // ISO 8601 in the configured timezone, e.g. 2025-06-30T17:30:00.000+05:30
+  formatTime(date) {
+    const parts = {};
+    this.dateFormat.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    const offset = Math.round((localAsUtc - (date.getTime() - date.getMilliseconds())) / 60000);
+    const sign = offset < 0 ? '-' : '+';
+    const zone = offset === 0 ? 'Z' : `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}` +
+      `.${pad(date.getMilliseconds(), 3)}${zone}`;
+  }
+
+  // The original console format: [dd/mm/yyyy, hh:mm:ss] LEVEL: message key=value
+  formatPretty(date, level, message, fields) {
+    const parts = {};
+    this.dateFormat.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    const context = Object.entries(fields).map(([key, value]) => ` ${key}=${value}`).join('');
+    return `[${parts.day}/${parts.month}/${parts.year}, ${parts.hour}:${parts.minute}:${parts.second}] ` +
+      `${level.toUpperCase()}: ${message}${context}`;
+  }
+
+  // fields adds context such as roomId, userId and socketId to the entry
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < this.minLevel) return;
+
+    const context = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) context[key] = value;
     });
-    const logEntry = `[${timestamp}] ${level.toUpperCase()}: ${message}`;
+
+    const date = new Date();
+    const logEntry = this.pretty
+      ? this.formatPretty(date, level, message, context)
+      : JSON.stringify({ time: this.formatTime(date), level, msg: message, ...context });
 
     // Always log to console
     console.log(logEntry);
 
-    // Only log to file if file logging is enabled
-    if (this.fileLoggingEnabled) {
-      try {
-        await this.cleanupLogIfNeeded();
-        await fs.appendFile(this.logFile, logEntry + '\n');
-      } catch (error) {
-        console.warn(`[Logger] File logging failed: ${error.message}`);
-        this.fileLoggingEnabled = false;
-      }
+    this.buffer.push(logEntry + '\n');
+    this.bufferSize += logEntry.length + 1;
+    if (this.bufferSize >= MAX_BUFFER_SIZE) {
+      this.flush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+      this.flushTimer.unref();
     }
   }
 
-  async cleanupLogIfNeeded() {
-    if (!this.fileLoggingEnabled) {
-      return;
+  takeBuffer() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    const chunk = this.buffer.join('');
+    this.buffer = [];
+    this.bufferSize = 0;
+    return chunk;
+  }
+
+  // Write buffered entries, resolves once they (and earlier writes) are on disk
+  flush() {
+    const chunk = this.takeBuffer();
+    if (chunk) {
+      this.writing = this.writing.then(() => this.writeChunk(chunk));
     }
+    return this.writing;
+  }
+
+  async writeChunk(chunk) {
+    if (!this.fileLoggingEnabled) return;
 
     try {
-      const stats = await fs.stat(this.logFile);
-      if (stats.size >= this.maxLogSize) {
-        await this.cleanupLog();
+      const chunkSize = Buffer.byteLength(chunk);
+      if (this.fileSize > 0 && this.fileSize + chunkSize > this.maxLogSize) {
+        await this.rotate();
       }
+      await fs.promises.appendFile(this.logFile, chunk);
+      this.fileSize += chunkSize;
     } catch (error) {
-      // File doesn't exist yet, no cleanup needed
+      console.warn(`[Logger] File logging failed: ${error.message}`);
+      this.fileLoggingEnabled = false;
     }
   }
 
-  async cleanupLog() {
-    if (!this.fileLoggingEnabled) {
-      return;
+  // server.log -> server.log.1 -> server.log.2 ..., keeping maxFiles rotated files
+  async rotate() {
+    const rotatedFile = (index) => `${this.logFile}.${index}`;
+
+    await fs.promises.rm(rotatedFile(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      try {
+        await fs.promises.rename(rotatedFile(index), rotatedFile(index + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
     }
 
+    if (this.maxFiles > 0) {
+      await fs.promises.rename(this.logFile, rotatedFile(1));
+    } else {
+      await fs.promises.rm(this.logFile, { force: true });
+    }
+    this.fileSize = 0;
+  }
+
+  flushSync() {
+    const chunk = this.takeBuffer();
+    if (!chunk || !this.fileLoggingEnabled) return;
+
     try {
-      const logContent = await fs.readFile(this.logFile, 'utf8');
-
-      const newContent = logContent.slice(this.clearSize);
-
-      // Write back the trimmed content
-      await fs.writeFile(this.logFile, newContent);
-
-      // Log the cleanup action
-      const timestamp = new Date().toLocaleString('en-IN', {
-        timeZone: 'Asia/Kolkata',
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-      });
-      const cleanupEntry = `[${timestamp}] INFO: Log file cleaned up - removed first ${this.clearSize / 1024}KB\n`;
-      await fs.appendFile(this.logFile, cleanupEntry);
+      fs.appendFileSync(this.logFile, chunk);
     } catch (error) {
-      console.warn(`[Logger] Log cleanup error: ${error.message}`);
-      this.fileLoggingEnabled = false;
+      console.warn(`[Logger] File logging failed: ${error.message}`);
     }
   }
 
-  info(message) { this.log('info', message); }
-  warn(message) { this.log('warn', message); }
-  error(message) { this.log('error', message); }
+  debug(message, fields) { this.log('debug', message, fields); }
+  info(message, fields) { this.log('info', message, fields); }
+  warn(message, fields) { this.log('warn', message, fields); }
+  error(message, fields) { this.log('error', message, fields); }
 }
 
 const logger = new Logger();
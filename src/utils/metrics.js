@@ -0,0 +1,170 @@
+// Minimal Prometheus metrics (text exposition format 0.0.4). Values are per process,
+// so in cluster mode every instance is scraped on its own.
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label set, so { a, b } and { b, a } are the same series
+const getSeriesKey = (labels) => JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.series = new Map(); // series key -> { labels, value }
+    }
+
+    getSeries(labels) {
+        const key = getSeriesKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, value: 0 });
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.series.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.getSeries(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super('gauge', name, help);
+    }
+
+    set(labels, value) {
+        this.getSeries(labels).value = value;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    getSeries(labels) {
+        const key = getSeriesKey(labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        return this.series.get(key);
+    }
+
+    observe(labels, value) {
+        const series = this.getSeries(labels);
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    // Zero every series, for histograms rebuilt from current state on each scrape
+    reset() {
+        this.series.forEach(series => {
+            series.counts.fill(0);
+            series.sum = 0;
+            series.count = 0;
+        });
+    }
+
+    // Time an async function in seconds
+    async time(labels, fn) {
+        const start = process.hrtime.bigint();
+        try {
+            return await fn();
+        } finally {
+            this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+        }
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
+
+const registry = new Registry();
+
+const metrics = {
+    registry,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    connectedSockets: registry.register(new Gauge(
+        'syncboard_connected_sockets', 'Socket.IO clients connected to this instance')),
+    activeRooms: registry.register(new Gauge(
+        'syncboard_active_rooms', 'Rooms held in memory by this instance')),
+    roomUsers: registry.register(new Histogram(
+        'syncboard_room_users', 'Users per room held by this instance, at scrape time', [0, 1, 2, 3, 4, 5, 10])),
+    waitingUsers: registry.register(new Gauge(
+        'syncboard_waiting_users', 'Users queued for full rooms held by this instance')),
+    textChanges: registry.register(new Counter(
+        'syncboard_text_changes_total', 'Text changes applied, by source (textChange, textDelta, api, restore, offline)')),
+    broadcastBytes: registry.register(new Counter(
+        'syncboard_broadcast_bytes_total', 'Payload bytes of text broadcasts, by event (counted once per broadcast that has recipients)')),
+    persistenceDuration: registry.register(new Histogram(
+        'syncboard_persistence_duration_seconds', 'Time to write a room to storage',
+        [0.001, 0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5])),
+    persistenceErrors: registry.register(new Counter(
+        'syncboard_persistence_errors_total', 'Room writes to storage that failed')),
+    initRejections: registry.register(new Counter(
+        'syncboard_init_rejections_total', 'Rejected init events, by reason')),
+    rateLimited: registry.register(new Counter(
+        'syncboard_rate_limited_total', 'Socket events dropped by the rate limiter, by event')),
+    webhookDeliveries: registry.register(new Counter(
+        'syncboard_webhook_deliveries_total', 'Webhook deliveries, by event and result (delivered, or failed after the last attempt)'))
+};
+
+// Unlabelled series are exported as 0 before their first observation
+metrics.persistenceErrors.inc({}, 0);
+metrics.roomUsers.getSeries({});
+metrics.persistenceDuration.getSeries({});
+
+module.exports = metrics;
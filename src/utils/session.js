@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const KEY_FILE = 'session.key';
+const MAX_TOKEN_LENGTH = 1024;
+
+// Signing key for session tokens: the configured secret, otherwise a random key kept in
+// <dir>/session.key. Owners and editors keep their tokens across restarts, so the key must
+// outlive the process.
+const loadSessionKey = async (secret, dir) => {
+    if (secret) return Buffer.from(secret);
+
+    const file = path.join(dir, KEY_FILE);
+    try {
+        return await fs.readFile(file);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const key = crypto.randomBytes(32);
+    await fs.mkdir(dir, { recursive: true });
+    try {
+        await fs.writeFile(file, key, { mode: 0o600, flag: 'wx' });
+        return key;
+    } catch (error) {
+        // Another process sharing the directory created it first
+        if (error.code === 'EEXIST') return fs.readFile(file);
+        throw error;
+    }
+};
+
+const sign = (key, data) => crypto.createHmac('sha256', key).update(data).digest('base64url');
+
+// "<payload>.<signature>", both base64url, the payload being { roomId, userId, sessionId }
+const createSessionToken = (key, roomId, userId, sessionId) => {
+    const data = Buffer.from(JSON.stringify({ roomId, userId, sessionId })).toString('base64url');
+    return `${data}.${sign(key, data)}`;
+};
+
+// Payload of a token signed with `key`, otherwise null
+const readSessionToken = (key, token) => {
+    if (typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) return null;
+
+    const [data, signature, ...rest] = token.split('.');
+    if (!data || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(sign(key, data));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+module.exports = {
+    loadSessionKey,
+    createSessionToken,
+    readSessionToken
+};
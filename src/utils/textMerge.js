@@ -0,0 +1,127 @@
+// Line-based three-way merge, used to reconcile edits a client made while offline.
+// Lines keep their line break, so a text always equals its lines joined.
+
+// Above this many cells the middle of a diff is treated as fully changed instead of compared
+const MAX_DIFF_CELLS = 4000000;
+
+const splitLines = (text) => (text ? text.split(/(?<=\n)/) : []);
+
+// Longest common subsequence of two line arrays as [indexA, indexB] pairs in order
+const matchLines = (a, b) => {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const matches = [];
+    for (let index = 0; index < start; index++) {
+        matches.push([index, index]);
+    }
+
+    // Dynamic programming over the part between the common prefix and suffix
+    const rows = endA - start;
+    const columns = endB - start;
+    if (rows > 0 && columns > 0 && (rows + 1) * (columns + 1) <= MAX_DIFF_CELLS) {
+        const width = columns + 1;
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = columns - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[start + i] === b[start + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < columns) {
+            if (a[start + i] === b[start + j]) {
+                matches.push([start + i, start + j]);
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+    }
+
+    for (let offset = 0; offset < a.length - endA; offset++) {
+        matches.push([endA + offset, endB + offset]);
+    }
+    return matches;
+};
+
+// Merge the changes from base to local and from base to server. Where both changed the
+// same lines differently the server's version is kept and the hunk is reported as a
+// conflict: { line (1-based, in the merged text), base, local, server }.
+const merge3 = (base, local, server) => {
+    const baseLines = splitLines(base);
+    const localLines = splitLines(local);
+    const serverLines = splitLines(server);
+
+    // Base line index -> matching line index in local / server
+    const toLocal = new Map(matchLines(baseLines, localLines));
+    const toServer = new Map(matchLines(baseLines, serverLines));
+
+    const merged = [];
+    const conflicts = [];
+    let baseIndex = 0;
+    let localIndex = 0;
+    let serverIndex = 0;
+
+    while (baseIndex < baseLines.length || localIndex < localLines.length || serverIndex < serverLines.length) {
+        // Next base line that is unchanged on both sides
+        let stable = baseIndex;
+        while (stable < baseLines.length && !(toLocal.has(stable) && toServer.has(stable))) {
+            stable++;
+        }
+
+        const localEnd = stable < baseLines.length ? toLocal.get(stable) : localLines.length;
+        const serverEnd = stable < baseLines.length ? toServer.get(stable) : serverLines.length;
+
+        if (stable === baseIndex && localEnd === localIndex && serverEnd === serverIndex) {
+            merged.push(baseLines[stable]);
+            baseIndex++;
+            localIndex++;
+            serverIndex++;
+            continue;
+        }
+
+        const baseHunk = baseLines.slice(baseIndex, stable).join('');
+        const localHunk = localLines.slice(localIndex, localEnd).join('');
+        const serverHunk = serverLines.slice(serverIndex, serverEnd).join('');
+
+        if (localHunk === baseHunk || localHunk === serverHunk) {
+            merged.push(serverHunk);
+        } else if (serverHunk === baseHunk) {
+            merged.push(localHunk);
+        } else {
+            conflicts.push({
+                line: splitLines(merged.join('')).length + 1,
+                base: baseHunk,
+                local: localHunk,
+                server: serverHunk
+            });
+            merged.push(serverHunk);
+        }
+
+        baseIndex = stable;
+        localIndex = localEnd;
+        serverIndex = serverEnd;
+    }
+
+    return { text: merged.join(''), conflicts };
+};
+
+module.exports = {
+    merge3
+};
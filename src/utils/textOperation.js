@@ -0,0 +1,164 @@
+// Text operations for delta-based sync.
+// An operation is an array of components applied left to right over the document:
+//   positive integer -> retain that many characters
+//   string           -> insert the string
+//   negative integer -> delete that many characters
+// Lengths are counted in UTF-16 code units (JavaScript string length), same as the client.
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isInsert = (component) => typeof component === 'string';
+const isDelete = (component) => typeof component === 'number' && component < 0;
+
+// Append a component, merging it with the previous one when possible.
+// Inserts are always kept before an adjacent delete so equal operations have one form.
+const pushComponent = (operation, component) => {
+    if (component === 0 || component === '' || component === undefined) return;
+
+    const lastIndex = operation.length - 1;
+    const last = operation[lastIndex];
+
+    if (isRetain(component) && isRetain(last)) {
+        operation[lastIndex] = last + component;
+    } else if (isDelete(component) && isDelete(last)) {
+        operation[lastIndex] = last + component;
+    } else if (isInsert(component) && isInsert(last)) {
+        operation[lastIndex] = last + component;
+    } else if (isInsert(component) && isDelete(last)) {
+        if (isInsert(operation[lastIndex - 1])) {
+            operation[lastIndex - 1] += component;
+        } else {
+            operation.splice(lastIndex, 0, component);
+        }
+    } else {
+        operation.push(component);
+    }
+};
+
+// Length of the text the operation expects to be applied to
+const baseLength = (operation) => operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isDelete(component)) return length - component;
+    return length;
+}, 0);
+
+// Length of the text after applying the operation
+const targetLength = (operation) => operation.reduce((length, component) => {
+    if (isRetain(component)) return length + component;
+    if (isInsert(component)) return length + component.length;
+    return length;
+}, 0);
+
+const apply = (text, operation) => {
+    if (baseLength(operation) !== text.length) {
+        throw new Error('Operation base length does not match text length');
+    }
+
+    const parts = [];
+    let index = 0;
+    for (const component of operation) {
+        if (isRetain(component)) {
+            parts.push(text.slice(index, index + component));
+            index += component;
+        } else if (isInsert(component)) {
+            parts.push(component);
+        } else {
+            index -= component;
+        }
+    }
+    return parts.join('');
+};
+
+// Build an operation turning oldText into newText (single replaced region)
+const fromDiff = (oldText, newText) => {
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    let prefix = 0;
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+        prefix++;
+    }
+
+    const maxSuffix = maxPrefix - prefix;
+    let suffix = 0;
+    while (suffix < maxSuffix &&
+        oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const operation = [];
+    pushComponent(operation, prefix);
+    pushComponent(operation, newText.slice(prefix, newText.length - suffix));
+    pushComponent(operation, -(oldText.length - prefix - suffix));
+    pushComponent(operation, suffix);
+    return operation;
+};
+
+// Transform two concurrent operations a and b (same base text) into [a', b'] so that
+// apply(apply(text, a), b') === apply(apply(text, b), a').
+// When both insert at the same position, a's insert goes first.
+const transform = (a, b) => {
+    if (baseLength(a) !== baseLength(b)) {
+        throw new Error('Concurrent operations have different base lengths');
+    }
+
+    const aPrime = [];
+    const bPrime = [];
+    let indexA = 0;
+    let indexB = 0;
+    let componentA = a[indexA++];
+    let componentB = b[indexB++];
+
+    while (componentA !== undefined || componentB !== undefined) {
+        if (isInsert(componentA)) {
+            pushComponent(aPrime, componentA);
+            pushComponent(bPrime, componentA.length);
+            componentA = a[indexA++];
+            continue;
+        }
+        if (isInsert(componentB)) {
+            pushComponent(aPrime, componentB.length);
+            pushComponent(bPrime, componentB);
+            componentB = b[indexB++];
+            continue;
+        }
+
+        let length;
+        if (isRetain(componentA) && isRetain(componentB)) {
+            length = Math.min(componentA, componentB);
+            pushComponent(aPrime, length);
+            pushComponent(bPrime, length);
+            componentA -= length;
+            componentB -= length;
+        } else if (isDelete(componentA) && isDelete(componentB)) {
+            // Both deleted the same characters - nothing left to do for either side
+            length = Math.min(-componentA, -componentB);
+            componentA += length;
+            componentB += length;
+        } else if (isDelete(componentA) && isRetain(componentB)) {
+            length = Math.min(-componentA, componentB);
+            pushComponent(aPrime, -length);
+            componentA += length;
+            componentB -= length;
+        } else {
+            length = Math.min(componentA, -componentB);
+            pushComponent(bPrime, -length);
+            componentA -= length;
+            componentB += length;
+        }
+
+        if (componentA === 0) componentA = a[indexA++];
+        if (componentB === 0) componentB = b[indexB++];
+    }
+
+    return [aPrime, bPrime];
+};
+
+module.exports = {
+    isRetain,
+    isInsert,
+    isDelete,
+    pushComponent,
+    baseLength,
+    targetLength,
+    apply,
+    fromDiff,
+    transform
+};
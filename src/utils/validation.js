@@ -1,3 +1,5 @@
+const { pushComponent } = require('./textOperation');
+
 const sanitizeRoomId = (roomId) => {
     if (!roomId || typeof roomId !== 'string') return null;
     // Allow only alphanumeric characters and hyphens
@@ -9,7 +11,19 @@ const sanitizeUserId = (userId) => {
     return userId.replace(/[^a-zA-Z0-9-]/g, '').substring(0, 50);
 };
 
-const sanitizeText = (text, maxLength) => {
+// Document IDs use the same characters as room IDs
+const sanitizeDocumentId = (docId) => sanitizeRoomId(docId);
+
+// Ciphertext from encrypted rooms: base64/base64url segments joined by "." or ":" (e.g. "v1:<iv>:<data>")
+const CIPHERTEXT_PATTERN = /^[A-Za-z0-9+/=_.:-]*$/;
+
+// Plain text is cut to maxLength. Ciphertext can't be cut without breaking it, so
+// encrypted text that is malformed or too long returns null instead.
+const sanitizeText = (text, maxLength, { encrypted = false } = {}) => {
+    if (encrypted) {
+        if (typeof text !== 'string' || text.length > maxLength || !CIPHERTEXT_PATTERN.test(text)) return null;
+        return text;
+    }
     if (typeof text !== 'string') return '';
     if (text.length > maxLength) {
         return text.substring(0, maxLength);
@@ -17,6 +31,105 @@ const sanitizeText = (text, maxLength) => {
     return text;
 };
 
+// Validate a text operation from the client and return it in normalized form
+const sanitizeOperation = (operation, maxLength) => {
+    if (!Array.isArray(operation) || operation.length === 0) return null;
+
+    const normalized = [];
+    let insertedLength = 0;
+    for (const component of operation) {
+        if (typeof component === 'string') {
+            insertedLength += component.length;
+        } else if (!Number.isSafeInteger(component)) {
+            return null;
+        }
+        pushComponent(normalized, component);
+    }
+
+    if (insertedLength > maxLength) return null;
+    return normalized;
+};
+
+// Attachment file name: no path parts or control characters, max 255 characters
+const sanitizeFileName = (name) => {
+    if (typeof name !== 'string') return null;
+    const baseName = name.split(/[\\/]/).pop();
+    const cleanName = baseName.replace(/[\u0000-\u001f\u007f"]/g, '').trim();
+    if (!cleanName || cleanName === '.' || cleanName === '..') return null;
+    return cleanName.substring(0, 255);
+};
+
+const sanitizePassword = (password) => {
+    if (typeof password !== 'string') return null;
+    if (password.length === 0 || password.length > 128) return null;
+    return password;
+};
+
+// Names shown to other users: control characters stripped, whitespace collapsed, max 50 characters
+const sanitizeDisplayName = (name) => {
+    if (typeof name !== 'string') return null;
+    const cleanName = name.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim();
+    return cleanName ? cleanName.substring(0, 50) : null;
+};
+
+// Search query: trimmed and cut to maxLength, null when it has no words
+const sanitizeSearchQuery = (query, maxLength) => {
+    if (typeof query !== 'string') return null;
+    const cleanQuery = query.replace(/\s+/g, ' ').trim().substring(0, maxLength);
+    return /[\p{L}\p{N}]/u.test(cleanQuery) ? cleanQuery : null;
+};
+
+// Display name and color shown to other room members; invalid fields are dropped
+const sanitizeProfile = (profile) => {
+    if (!profile || typeof profile !== 'object') return {};
+
+    const cleanProfile = {};
+    const name = sanitizeDisplayName(profile.name);
+    if (name) {
+        cleanProfile.name = name;
+    }
+    if (typeof profile.color === 'string' && /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(profile.color)) {
+        cleanProfile.color = profile.color.toLowerCase();
+    }
+    return cleanProfile;
+};
+
+// Caret/selection position: { anchor, head } offsets, with the optional revision they refer to
+const sanitizeCursor = (position, maxLength) => {
+    if (!position || typeof position !== 'object') return null;
+
+    const isOffset = (value) => Number.isInteger(value) && value >= 0 && value <= maxLength;
+    const anchor = position.anchor;
+    const head = position.head === undefined ? anchor : position.head;
+    if (!isOffset(anchor) || !isOffset(head)) return null;
+
+    const cleanPosition = { anchor, head };
+    if (Number.isInteger(position.revision) && position.revision >= 0) {
+        cleanPosition.revision = position.revision;
+    }
+    return cleanPosition;
+};
+
+// Room expiry picked by the creator, in ms, clamped to the allowed range
+const sanitizeExpiry = (expiresIn, min, max) => {
+    if (typeof expiresIn !== 'number' || !Number.isFinite(expiresIn) || expiresIn <= 0) return null;
+    return Math.min(Math.max(Math.round(expiresIn), min), max);
+};
+
+// Basic shape check for room data read from storage
+const isValidRoomData = (roomData) => {
+    if (!roomData || typeof roomData !== 'object' || Array.isArray(roomData)) return false;
+    if (roomData.text !== undefined && typeof roomData.text !== 'string') return false;
+    if (roomData.documents !== undefined) {
+        if (!roomData.documents || typeof roomData.documents !== 'object') return false;
+        const documents = Object.values(roomData.documents);
+        if (documents.some(document => !document || typeof document.text !== 'string')) return false;
+    }
+    if (roomData.encrypted !== undefined && typeof roomData.encrypted !== 'boolean') return false;
+    if (roomData.users !== undefined && (typeof roomData.users !== 'object' || roomData.users === null)) return false;
+    return true;
+};
+
 const isObjEmpty = (obj) => {
     if (!obj) return true;
     return Object.keys(obj).length === 0;
@@ -25,6 +138,16 @@ const isObjEmpty = (obj) => {
 module.exports = {
     sanitizeRoomId,
     sanitizeUserId,
+    sanitizeDocumentId,
     sanitizeText,
+    sanitizeFileName,
+    sanitizeOperation,
+    sanitizePassword,
+    sanitizeDisplayName,
+    sanitizeProfile,
+    sanitizeSearchQuery,
+    sanitizeCursor,
+    sanitizeExpiry,
+    isValidRoomData,
     isObjEmpty
 };
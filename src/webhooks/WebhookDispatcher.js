@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>"; receivers recompute it with the shared secret
+const signPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// Server errors, timeouts and rate limiting are retried. Other 4xx responses mean the
+// receiver rejected the payload and sending it again won't help.
+const isRetryable = (status) => status >= 500 || status === 408 || status === 429;
+
+// Webhook URLs can carry tokens in their path, so logs only show the origin
+const describeUrl = (url) => new URL(url).origin;
+
+// Posts signed payloads of the enabled `events` to the configured URLs. Failed deliveries
+// are retried with exponential backoff (retryDelay, then twice that, ...) up to maxAttempts
+// in total.
+// Text changes are coalesced per document: the first change starts a `textDebounce` ms
+// window and one text.changed event sums up every change made within it.
+class WebhookDispatcher {
+    constructor({
+        urls = [],
+        secret = null,
+        events = [],
+        textDebounce = 0,
+        maxAttempts = 1,
+        retryDelay = 1000,
+        timeout = 5000
+    } = {}) {
+        this.urls = urls;
+        this.secret = secret;
+        this.events = new Set(events);
+        this.textDebounce = textDebounce;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.timeout = timeout;
+        // `${roomId}:${docId}` -> text changes waiting for their window to end
+        this.textChanges = new Map();
+        this.retryTimers = new Set();
+        this.inFlight = new Set();
+        this.stopped = false;
+    }
+
+    isEnabled(event) {
+        return this.urls.length > 0 && this.events.has(event) && !this.stopped;
+    }
+
+    // Send an event about a room to every URL
+    emit(event, roomId, data = {}) {
+        // Text changes made just before the delete still go out, and before it
+        if (event === 'room.deleted') {
+            this.flushTextChanges(roomId);
+        }
+        if (!this.isEnabled(event)) return;
+
+        const payload = {
+            id: crypto.randomUUID(),
+            event,
+            roomId,
+            timestamp: new Date().toISOString(),
+            data
+        };
+        const body = JSON.stringify(payload);
+        this.urls.forEach(url => this.track(this.deliver(url, payload, body, 1)));
+    }
+
+    // Record a text change, sent as part of the document's next text.changed event
+    textChanged(roomId, docId, userId, revision, textLength) {
+        if (!this.isEnabled('text.changed')) return;
+
+        const key = `${roomId}:${docId}`;
+        let pending = this.textChanges.get(key);
+        if (!pending) {
+            pending = { roomId, docId, userIds: new Set(), changes: 0, timeoutId: null };
+            pending.timeoutId = setTimeout(() => this.flushTextChange(key), this.textDebounce);
+            this.textChanges.set(key, pending);
+        }
+
+        if (userId) {
+            pending.userIds.add(userId);
+        }
+        pending.changes++;
+        pending.revision = revision;
+        pending.textLength = textLength;
+    }
+
+    flushTextChange(key) {
+        const pending = this.textChanges.get(key);
+        if (!pending) return;
+
+        clearTimeout(pending.timeoutId);
+        this.textChanges.delete(key);
+        this.emit('text.changed', pending.roomId, {
+            docId: pending.docId,
+            revision: pending.revision,
+            textLength: pending.textLength,
+            changes: pending.changes,
+            userIds: [...pending.userIds]
+        });
+    }
+
+    // Send the pending text changes of one room, or of every room
+    flushTextChanges(roomId = null) {
+        [...this.textChanges.entries()]
+            .filter(([, pending]) => roomId === null || pending.roomId === roomId)
+            .forEach(([key]) => this.flushTextChange(key));
+    }
+
+    track(delivery) {
+        const tracked = delivery
+            .catch(error => logger.error(`Webhook delivery error: ${error.message}`))
+            .finally(() => this.inFlight.delete(tracked));
+        this.inFlight.add(tracked);
+    }
+
+    // One attempt at posting the payload to a URL, scheduling the next one when it fails
+    async deliver(url, payload, body, attempt) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        let failure;
+        let retryable = true;
+
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'SyncBoard-Webhooks',
+                    'X-SyncBoard-Event': payload.event,
+                    'X-SyncBoard-Delivery': payload.id,
+                    'X-SyncBoard-Timestamp': timestamp,
+                    'X-SyncBoard-Signature': `sha256=${signPayload(this.secret, timestamp, body)}`
+                },
+                body,
+                signal: AbortSignal.timeout(this.timeout)
+            });
+            // The response body is not used, release the connection
+            await response.body?.cancel();
+
+            if (response.ok) {
+                metrics.webhookDeliveries.inc({ event: payload.event, result: 'delivered' });
+                return;
+            }
+            failure = `HTTP ${response.status}`;
+            retryable = isRetryable(response.status);
+        } catch (error) {
+            failure = error.name === 'TimeoutError' ? `no response within ${this.timeout}ms` : error.message;
+        }
+
+        const context = { roomId: payload.roomId, event: payload.event, deliveryId: payload.id, attempt };
+        if (retryable && attempt < this.maxAttempts && !this.stopped) {
+            const delay = this.retryDelay * 2 ** (attempt - 1);
+            logger.warn(`Webhook ${payload.event} to ${describeUrl(url)} failed (${failure}), retrying in ${delay}ms`, context);
+
+            const timeoutId = setTimeout(() => {
+                this.retryTimers.delete(timeoutId);
+                this.track(this.deliver(url, payload, body, attempt + 1));
+            }, delay);
+            this.retryTimers.add(timeoutId);
+            return;
+        }
+
+        metrics.webhookDeliveries.inc({ event: payload.event, result: 'failed' });
+        logger.error(`Webhook ${payload.event} to ${describeUrl(url)} failed after ${attempt} attempt${attempt === 1 ? '' : 's'}: ${failure}`, context);
+    }
+
+    // Send pending text changes, drop scheduled retries and wait for running deliveries
+    async stop() {
+        this.flushTextChanges();
+        this.stopped = true;
+
+        if (this.retryTimers.size > 0) {
+            logger.warn(`Dropping ${this.retryTimers.size} webhook retries on shutdown`);
+        }
+        this.retryTimers.forEach(timeoutId => clearTimeout(timeoutId));
+        this.retryTimers.clear();
+
+        await Promise.allSettled([...this.inFlight]);
+    }
+}
+
+module.exports = {
+    WebhookDispatcher,
+    signPayload
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TEXT_CHUNK_SIZE = '256';
+const { startServer, waitFor, emitAndWait, delay } = require('./helpers/harness');
+const { JsonFileAdapter } = require('../src/storage/adapters');
+
+// Multi-byte characters, so chunks split characters between them
+const LARGE_TEXT = 'größere Tafel → '.repeat(60);
+
+describe('compressed transport', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('negotiates per-message deflate', async () => {
+        const socket = await harness.connect();
+        assert.match(socket.io.engine.transport.ws.extensions, /permessage-deflate/);
+    });
+
+    it('sends large texts in chunks to clients that ask for them', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+        alice.emit('textChange', LARGE_TEXT, 'room1', 'alice');
+        await delay(50);
+        const size = Buffer.byteLength(LARGE_TEXT);
+
+        const { socket: bob } = await harness.join('room1', 'bob');
+        const chunks = [];
+        const received = new Promise(resolve => {
+            bob.on('getTextChunk', (meta, chunk) => {
+                chunks.push({ meta, chunk });
+                if (meta.index === meta.count - 1) resolve();
+            });
+        });
+        bob.emit('initText', 'room1', 'bob', { chunked: true });
+        await received;
+
+        const count = Math.ceil(size / 256);
+        assert.equal(chunks.length, count);
+        chunks.forEach(({ meta, chunk }, index) => {
+            assert.deepEqual(meta, { roomId: 'room1', docId: 'main', revision: 1, index, count, size });
+            assert.ok(Buffer.isBuffer(chunk));
+        });
+        assert.equal(Buffer.concat(chunks.map(({ chunk }) => chunk)).toString('utf8'), LARGE_TEXT);
+
+        // Without the option, and for small texts, the text comes in one getText
+        const [text] = await emitAndWait(bob, 'getText', 'initText', 'room1', 'bob');
+        assert.equal(text, LARGE_TEXT);
+        alice.emit('textChange', 'small', 'room1', 'alice');
+        await waitFor(bob, 'textChange');
+        const [small] = await emitAndWait(bob, 'getText', 'initText', 'room1', 'bob', { chunked: true });
+        assert.equal(small, 'small');
+    });
+});
+
+describe('compressed room files', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-board-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    const roomData = (text) => ({
+        documents: { main: { name: 'Main', text, revision: 1, history: [] } },
+        users: {},
+        createdAt: new Date().toISOString(),
+        lastUpdated: new Date().toISOString()
+    });
+
+    it('writes gzipped files and replaces the other kind', async () => {
+        const plain = new JsonFileAdapter({ dataDir });
+        const compressed = new JsonFileAdapter({ dataDir, compress: true });
+        await compressed.init();
+
+        await plain.saveRoom('room1', roomData('plain'));
+        assert.ok(fs.existsSync(path.join(dataDir, 'room1.json')));
+
+        await compressed.saveRoom('room1', roomData('compressed'));
+        assert.ok(!fs.existsSync(path.join(dataDir, 'room1.json')));
+        const saved = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(dataDir, 'room1.json.gz'))));
+        assert.equal(saved.documents.main.text, 'compressed');
+
+        // Either adapter reads either kind
+        assert.equal((await plain.loadRoom('room1')).documents.main.text, 'compressed');
+        assert.deepEqual(await plain.listRooms(), ['room1']);
+
+        await plain.archiveRoom('room1');
+        assert.deepEqual(await plain.listRooms(), []);
+        assert.match(fs.readdirSync(path.join(dataDir, 'archive'))[0], /^room1\.\d+\.json\.gz$/);
+    });
+
+    it('loads plain and gzipped room files through loadData', async () => {
+        await new JsonFileAdapter({ dataDir }).saveRoom('plain', roomData('from a plain file'));
+        await new JsonFileAdapter({ dataDir, compress: true }).saveRoom('packed', roomData('from a gzipped file'));
+
+        const harness = await startServer({ dataDir });
+        try {
+            assert.equal(harness.storage.getDocument('plain', 'main').text, 'from a plain file');
+            assert.equal(harness.storage.getDocument('packed', 'main').text, 'from a gzipped file');
+        } finally {
+            await harness.stop({ removeData: false });
+        }
+    });
+
+    it('quarantines truncated gzipped room files', async () => {
+        const packed = zlib.gzipSync(JSON.stringify(roomData('cut short')));
+        fs.writeFileSync(path.join(dataDir, 'broken.json.gz'), packed.subarray(0, packed.length - 10));
+        await new JsonFileAdapter({ dataDir }).saveRoom('intact', roomData('still here'));
+
+        const harness = await startServer({ dataDir });
+        try {
+            assert.equal(harness.storage.getRoomData('broken'), undefined);
+            assert.equal(harness.storage.getDocument('intact', 'main').text, 'still here');
+        } finally {
+            await harness.stop({ removeData: false });
+        }
+
+        assert.ok(!fs.existsSync(path.join(dataDir, 'broken.json.gz')));
+        assert.match(fs.readdirSync(path.join(dataDir, 'corrupt'))[0], /^broken\.\d+\.json\.gz$/);
+    });
+});
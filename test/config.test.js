@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigError, loadConfig } = require('../src/config/loadConfig');
+
+Object.assign(process.env, {
+    CONFIG_FILE: '',
+    RATE_LIMITS: '{"textChange":{"capacity":100,"refillPerSecond":40}}',
+    RATE_LIMIT_IP_FACTOR: '2.5',
+    ROOM_TTL_MIN: '120000',
+    MAX_SEARCH_RESULTS: '5'
+});
+const CONFIG = require('../src/config/constants');
+
+describe('config', () => {
+    it('overrides limits from env vars, merging RATE_LIMITS into the defaults', () => {
+        assert.deepEqual(CONFIG.RATE_LIMITS.textChange, { capacity: 100, refillPerSecond: 40 });
+        assert.deepEqual(CONFIG.RATE_LIMITS.default, { capacity: 20, refillPerSecond: 5 });
+        assert.equal(CONFIG.RATE_LIMIT_IP_FACTOR, 2.5);
+        assert.equal(CONFIG.ROOM_TTL_MIN, 120000);
+        assert.equal(CONFIG.MAX_SEARCH_RESULTS, 5);
+        assert.equal(CONFIG.getEffectiveConfig().sources.RATE_LIMITS, 'env');
+    });
+
+    it('rejects invalid JSON settings', () => {
+        const settings = { LIMITS: { type: 'json', merge: true, validate: (value) => (value.a > 0 ? null : 'needs a positive a') } };
+        const load = (value) => loadConfig({ LIMITS: { a: 1, b: 2 } }, settings, { env: { LIMITS: value } });
+
+        assert.deepEqual(load('{"a":3}').config.LIMITS, { a: 3, b: 2 });
+        assert.throws(() => load('{not json'), (error) => error instanceof ConfigError &&
+            /LIMITS must be valid JSON/.test(error.message));
+        assert.throws(() => load('{"a":0}'), /LIMITS needs a positive a/);
+    });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Settings for the test processes, applied before anything loads the config.
+// node --test runs every test file in its own process, so each file gets a fresh config.
+const TEST_ENV = {
+    CONFIG_FILE: '',
+    LOG_LEVEL: 'error',
+    LOG_DIR: path.join(os.tmpdir(), 'sync-board-test-logs'),
+    PERSIST_INTERVAL: '50',
+    DISCONNECT_GRACE_PERIOD: '200',
+    INIT_THROTTLE_TIME: '0',
+    MAX_ROOM_SIZE: '3',
+    MAX_TEXT_LENGTH: '1000',
+    MAX_WAITING_USERS: '1',
+    MAX_ROOMS_PER_IP: '1000'
+};
+Object.assign(process.env, TEST_ENV);
+
+const { io: ioClient } = require('socket.io-client');
+const SyncBoardServer = require('../../index');
+
+const DEFAULT_TIMEOUT = 2000;
+
+const createDataDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'sync-board-test-'));
+
+// In-process server on a free port. Pass the dataDir of an earlier server to reload its rooms.
+const startServer = async ({ dataDir = createDataDir() } = {}) => {
+    const server = new SyncBoardServer({ port: 0, dataDir });
+    await server.start();
+
+    const clients = [];
+    return {
+        server,
+        dataDir,
+        storage: server.socketManager.storage,
+        url: `http://localhost:${server.port}`,
+
+        // Connected client, closed again by stop(). `auth` is sent with the handshake,
+        // e.g. { adminToken } for admin sockets.
+        async connect({ auth } = {}) {
+            const socket = ioClient(`http://localhost:${server.port}`, {
+                transports: ['websocket'],
+                forceNew: true,
+                reconnection: false,
+                auth
+            });
+            clients.push(socket);
+            await waitFor(socket, 'connect');
+            return socket;
+        },
+
+        // Connected client that finished init, resolving after the presence update init ends with
+        async join(roomId, userId, password = null, profile = null, options = undefined) {
+            const socket = await this.connect();
+            const settings = waitFor(socket, 'roomSettings');
+            const presence = waitFor(socket, 'presence');
+            const [, , sessionToken] = await emitAndWait(socket, 'initComplete', 'init', roomId, userId, password, profile, options);
+            await presence;
+            return { socket, settings: (await settings)[0], sessionToken };
+        },
+
+        // Stop the server; removeData also deletes its data directory
+        async stop({ removeData = true } = {}) {
+            clients.forEach(socket => socket.close());
+            await server.stop();
+            if (removeData) {
+                fs.rmSync(dataDir, { recursive: true, force: true });
+            }
+        }
+    };
+};
+
+// Resolves with the arguments of the next `event`. Rejects on timeout, and on an `error`
+// event from the server unless `error` is the event waited for.
+const waitFor = (socket, event, timeout = DEFAULT_TIMEOUT) => new Promise((resolve, reject) => {
+    const cleanup = () => {
+        clearTimeout(timer);
+        socket.off(event, onEvent);
+        socket.off('error', onError);
+    };
+    const onEvent = (...args) => {
+        cleanup();
+        resolve(args);
+    };
+    const onError = (message) => {
+        cleanup();
+        reject(new Error(`Expected ${event}, got error: ${message}`));
+    };
+    const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+
+    socket.on(event, onEvent);
+    if (event !== 'error') {
+        socket.on('error', onError);
+    }
+});
+
+// Emit an event and wait for the reply event, listening before the emit
+const emitAndWait = (socket, replyEvent, event, ...args) => {
+    const reply = waitFor(socket, replyEvent);
+    socket.emit(event, ...args);
+    return reply;
+};
+
+// Resolves if `event` does not arrive within `timeout`
+const expectNoEvent = (socket, event, timeout = 200) => new Promise((resolve, reject) => {
+    const onEvent = () => {
+        clearTimeout(timer);
+        reject(new Error(`Unexpected ${event}`));
+    };
+    const timer = setTimeout(() => {
+        socket.off(event, onEvent);
+        resolve();
+    }, timeout);
+    socket.once(event, onEvent);
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    startServer,
+    waitFor,
+    emitAndWait,
+    expectNoEvent,
+    delay
+};
@@ -0,0 +1,171 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, emitAndWait, delay } = require('./helpers/harness');
+
+describe('init', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('creates the room with the first user as owner', async () => {
+        const { settings } = await harness.join('room1', 'alice');
+
+        assert.equal(settings.ownerId, 'alice');
+        assert.equal(settings.capacity, 3);
+        assert.ok(harness.storage.getRoomData('room1'));
+        assert.ok(harness.storage.userExists('room1', 'alice'));
+    });
+
+    it('sends presence to everyone in the room', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+        const presence = waitFor(alice, 'presence');
+        await harness.join('room1', 'bob', null, { name: 'Bob' });
+
+        const [members] = await presence;
+        assert.deepEqual(members.map(member => [member.userId, member.name, member.connected]), [
+            ['alice', null, true],
+            ['bob', 'Bob', true]
+        ]);
+    });
+
+    it('rejects invalid room and user IDs', async () => {
+        const socket = await harness.connect();
+
+        const [message] = await emitAndWait(socket, 'error', 'init', '../', 'alice');
+        assert.equal(message, 'Invalid room ID or user ID');
+        assert.deepEqual(Object.keys(harness.storage.data), []);
+    });
+
+    it('queues users past the capacity and rejects them once the queue is full', async () => {
+        await harness.join('room1', 'alice');
+        await harness.join('room1', 'bob');
+        await harness.join('room1', 'carol');
+
+        const dave = await harness.connect();
+        const [waiting] = await emitAndWait(dave, 'waiting', 'init', 'room1', 'dave');
+        assert.deepEqual(waiting, { roomId: 'room1', position: 1, queueLength: 1, capacity: 3 });
+
+        const erin = await harness.connect();
+        const [message] = await emitAndWait(erin, 'error', 'init', 'room1', 'erin');
+        assert.equal(message, 'Room is full');
+        assert.equal(harness.storage.getUserCount('room1'), 3);
+    });
+
+    it('lets existing users rejoin a full room', async () => {
+        await harness.join('room1', 'alice');
+        await harness.join('room1', 'bob');
+        const { socket: carol, sessionToken } = await harness.join('room1', 'carol');
+
+        carol.close();
+        await delay(50);
+        await harness.join('room1', 'carol', null, null, { sessionToken });
+        assert.equal(harness.storage.getUserCount('room1'), 3);
+    });
+
+    it('asks everyone not in a protected room for its password, the owner included', async () => {
+        const hour = 60 * 60 * 1000;
+        const { socket: alice, sessionToken } = await harness.join('room1', 'alice', null, null, { expiresIn: hour });
+        alice.emit('setRoomPassword', 'hunter2', 'room1', 'alice');
+        await waitFor(alice, 'roomSettings');
+
+        // The room is kept after its owner leaves
+        alice.close();
+        await delay(400);
+        assert.ok(harness.storage.getRoomData('room1'));
+        assert.ok(!harness.storage.userExists('room1', 'alice'));
+
+        const mallory = await harness.connect();
+        const [message] = await emitAndWait(mallory, 'error', 'init', 'room1', 'alice');
+        assert.equal(message, 'Password required');
+        assert.ok(!harness.storage.userExists('room1', 'alice'));
+
+        // The password alone doesn't get anyone the owner's user ID, the owner's token does
+        const [taken] = await emitAndWait(mallory, 'error', 'init', 'room1', 'alice', 'hunter2');
+        assert.equal(taken, 'Session token required');
+        const { settings } = await harness.join('room1', 'alice', null, null, { sessionToken });
+        assert.equal(settings.ownerId, 'alice');
+    });
+
+    it('admits spectators without taking a slot', async () => {
+        await harness.join('room1', 'alice');
+        await harness.join('room1', 'bob');
+        await harness.join('room1', 'carol');
+
+        const { socket: viewer } = await harness.join('room1', 'viewer', null, null, { spectator: true });
+        assert.equal(harness.storage.getParticipantCount('room1'), 3);
+
+        const [message] = await emitAndWait(viewer, 'error', 'textChange', 'hello', 'room1', 'viewer');
+        assert.equal(message, 'Room is read-only');
+    });
+});
+
+describe('disconnect', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('keeps the user through the grace period, then removes them', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+        const joined = waitFor(alice, 'presence');
+        const { socket: bob } = await harness.join('room1', 'bob');
+        await joined;
+
+        const disconnected = waitFor(alice, 'presence');
+        bob.close();
+        const [members] = await disconnected;
+        assert.equal(members.find(member => member.userId === 'bob').connected, false);
+
+        const [remaining] = await waitFor(alice, 'presence');
+        assert.deepEqual(remaining.map(member => member.userId), ['alice']);
+        assert.ok(!harness.storage.userExists('room1', 'bob'));
+    });
+
+    it('lets a user reconnect within the grace period', async () => {
+        await harness.join('room1', 'alice');
+        const { socket: bob, sessionToken } = await harness.join('room1', 'bob');
+
+        bob.close();
+        await delay(50);
+        await harness.join('room1', 'bob', null, null, { sessionToken });
+        await delay(300);
+
+        assert.ok(harness.storage.userExists('room1', 'bob'));
+    });
+
+    it('deletes the room once its last user is removed', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+
+        alice.close();
+        await delay(400);
+
+        assert.equal(harness.storage.getRoomData('room1'), undefined);
+    });
+
+    it('admits the first waiting user when a slot frees up', async () => {
+        await harness.join('room1', 'alice');
+        await harness.join('room1', 'bob');
+        const { socket: carol } = await harness.join('room1', 'carol');
+
+        const dave = await harness.connect();
+        await emitAndWait(dave, 'waiting', 'init', 'room1', 'dave');
+
+        const admitted = waitFor(dave, 'initComplete');
+        carol.close();
+        const [roomId, userId] = await admitted;
+        assert.deepEqual([roomId, userId], ['room1', 'dave']);
+        assert.ok(harness.storage.userExists('room1', 'dave'));
+        assert.ok(!harness.storage.userExists('room1', 'carol'));
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, emitAndWait, delay } = require('./helpers/harness');
+
+describe('metrics', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    // Current value of syncboard_broadcast_bytes_total for one event, 0 before it is counted
+    const getBroadcastBytes = async (event) => {
+        const text = await (await fetch(`${harness.url}/metrics`)).text();
+        const match = text.match(new RegExp(`^syncboard_broadcast_bytes_total\\{event="${event}"\\} (\\d+)$`, 'm'));
+        return match ? Number(match[1]) : 0;
+    };
+
+    it('counts broadcast bytes only for broadcasts with recipients', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+
+        // Nobody else is viewing the document
+        alice.emit('textChange', 'hello', 'room1', 'alice');
+        await delay(50);
+        assert.equal(await getBroadcastBytes('textChange'), 0);
+        assert.equal(await getBroadcastBytes('textDelta'), 0);
+
+        // A delta client only receives the operation
+        const { socket: bob } = await harness.join('room1', 'bob');
+        await emitAndWait(bob, 'getText', 'initText', 'room1', 'bob', { deltas: true });
+        const delta = waitFor(bob, 'textDelta');
+        alice.emit('textChange', 'hello world', 'room1', 'alice');
+        const [operation] = await delta;
+        assert.equal(await getBroadcastBytes('textChange'), 0);
+        assert.equal(await getBroadcastBytes('textDelta'), Buffer.byteLength(JSON.stringify(operation)));
+
+        // A full-text client receives the whole text
+        const { socket: carol } = await harness.join('room1', 'carol');
+        const change = waitFor(carol, 'textChange');
+        alice.emit('textChange', 'hello wörld', 'room1', 'alice');
+        await change;
+        assert.equal(await getBroadcastBytes('textChange'), Buffer.byteLength('hello wörld'));
+    });
+});
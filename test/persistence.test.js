@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, emitAndWait, delay } = require('./helpers/harness');
+const DataStorage = require('../src/storage/DataStorage');
+const { JsonFileAdapter } = require('../src/storage/adapters');
+
+describe('persistence', () => {
+    it('writes room changes to the data directory', async () => {
+        const harness = await startServer();
+        try {
+            const { socket } = await harness.join('room1', 'alice');
+            socket.emit('textChange', 'saved text', 'room1', 'alice');
+            await delay(200);
+
+            const saved = JSON.parse(fs.readFileSync(path.join(harness.dataDir, 'room1.json'), 'utf8'));
+            assert.equal(saved.documents.main.text, 'saved text');
+            assert.equal(saved.access.ownerId, 'alice');
+            assert.ok(saved.users.alice);
+            assert.equal(saved.users.alice.socketId, undefined);
+        } finally {
+            await harness.stop();
+        }
+    });
+
+    it('reloads rooms through loadData after a restart', async () => {
+        const first = await startServer();
+        const { socket: alice } = await first.join('room1', 'alice');
+        const { socket: bob } = await first.join('room1', 'bob');
+
+        const received = waitFor(bob, 'textChange');
+        alice.emit('textChange', 'survives restarts', 'room1', 'alice');
+        await received;
+        // Pending saves are flushed on stop
+        await first.stop({ removeData: false });
+
+        const second = await startServer({ dataDir: first.dataDir });
+        try {
+            const room = second.storage.getRoomData('room1');
+            assert.equal(room.documents.main.text, 'survives restarts');
+            assert.equal(room.documents.main.revision, 1);
+            // Users are dropped on load, they rejoin through init
+            assert.deepEqual(room.users, {});
+
+            const { socket, settings } = await second.join('room1', 'bob');
+            assert.equal(settings.ownerId, 'alice');
+
+            const [text, , revision] = await emitAndWait(socket, 'getText', 'initText', 'room1', 'bob');
+            assert.equal(text, 'survives restarts');
+            assert.equal(revision, 1);
+        } finally {
+            await second.stop();
+        }
+    });
+
+    it('quarantines room files that cannot be parsed', async () => {
+        const first = await startServer();
+        await first.stop({ removeData: false });
+        fs.writeFileSync(path.join(first.dataDir, 'broken.json'), '{ not json');
+
+        const second = await startServer({ dataDir: first.dataDir });
+        try {
+            assert.equal(second.storage.getRoomData('broken'), undefined);
+            assert.ok(!fs.existsSync(path.join(first.dataDir, 'broken.json')));
+            assert.ok(fs.readdirSync(path.join(first.dataDir, 'corrupt')).length > 0);
+        } finally {
+            await second.stop();
+        }
+    });
+
+    it('checks the expiry of rooms it does not hold without loading them', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-board-test-'));
+        const adapter = new JsonFileAdapter({ dataDir });
+        await adapter.init();
+        const stored = (lastUpdated, retention) => ({
+            documents: { main: { name: 'Main', text: '', revision: 0, history: [] } },
+            users: {},
+            retention,
+            createdAt: lastUpdated,
+            lastUpdated
+        });
+        const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+        await adapter.saveRoom('stale', stored(longAgo));
+        await adapter.saveRoom('pinned', stored(longAgo, { ttl: null, pinned: true }));
+        await adapter.saveRoom('fresh', stored(new Date().toISOString()));
+
+        // As in cluster mode, where rooms are only loaded by their home instance
+        const storage = new DataStorage(adapter, { preload: false, dataDir });
+        try {
+            await storage.ready;
+            assert.equal(await storage.mayHaveExpired('stale'), true);
+            assert.equal(await storage.mayHaveExpired('pinned'), false);
+            assert.equal(await storage.mayHaveExpired('fresh'), false);
+            assert.equal(await storage.mayHaveExpired('missing'), false);
+            assert.deepEqual(Object.keys(storage.data), []);
+
+            // Rooms that really expired are removed without having been loaded before
+            assert.equal(await storage.expireRoom('stale'), true);
+            assert.equal(await storage.expireRoom('pinned'), false);
+            assert.deepEqual((await storage.listStoredRoomIds()).sort(), ['fresh', 'pinned']);
+        } finally {
+            await storage.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
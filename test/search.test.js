@@ -0,0 +1,113 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const { startServer, waitFor, emitAndWait, delay } = require('./helpers/harness');
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+describe('admin search', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    const search = async (query) => {
+        const response = await fetch(`${harness.url}/api/search?q=${encodeURIComponent(query)}`, { headers: ADMIN_HEADERS });
+        assert.equal(response.status, 200);
+        return (await response.json()).results;
+    };
+
+    // Room with `text` in its default document, the socket stays connected
+    const createRoom = async (roomId, userId, text, options) => {
+        const { socket } = await harness.join(roomId, userId, null, null, options);
+        socket.emit('textChange', text, roomId, userId);
+        await delay(50);
+        return socket;
+    };
+
+    it('finds rooms by word prefixes with highlighted snippets', async () => {
+        await createRoom('ops', 'alice', 'Deploy checklist:\n- run migrations\n- deploy the API, then deploy the client');
+        await createRoom('notes', 'bob', 'Remember to check the deploy logs');
+        await createRoom('other', 'carol', 'Nothing to see here');
+
+        const results = await search('deploy check');
+        assert.deepEqual(results.map(result => result.roomId), ['ops', 'notes']);
+
+        const [document] = results[0].documents;
+        assert.equal(document.docId, 'main');
+        assert.equal(document.name, 'Main');
+        const [snippet] = document.snippets;
+        assert.deepEqual(snippet.highlights.map(([start, end]) => snippet.text.slice(start, end)), ['Deploy', 'checklist', 'deploy', 'deploy']);
+
+        // Nearby matches share one snippet
+        const [ops] = await search('migrations client');
+        assert.equal(ops.score, 2);
+        assert.equal(ops.documents[0].snippets.length, 1);
+        const { text, highlights } = ops.documents[0].snippets[0];
+        assert.deepEqual(highlights.map(([start, end]) => text.slice(start, end)), ['migrations', 'client']);
+
+        assert.deepEqual(await search('missing'), []);
+    });
+
+    it('keeps the index up to date with edits, documents and deleted rooms', async () => {
+        const socket = await createRoom('room1', 'alice', 'first draft');
+        assert.equal((await search('draft')).length, 1);
+
+        socket.emit('textChange', 'final version', 'room1', 'alice');
+        await delay(50);
+        assert.deepEqual(await search('draft'), []);
+        assert.equal((await search('final')).length, 1);
+
+        socket.emit('createDocument', 'Agenda', 'room1', 'alice');
+        const [documents] = await waitFor(socket, 'documents');
+        const agenda = documents.find(document => document.name === 'Agenda');
+        assert.deepEqual((await search('agenda'))[0].documents.map(document => document.docId), [agenda.docId]);
+
+        socket.emit('deleteDocument', agenda.docId, 'room1', 'alice');
+        await waitFor(socket, 'documents');
+        assert.deepEqual(await search('agenda'), []);
+
+        // The room is deleted once its last user's grace period ends
+        socket.close();
+        await delay(400);
+        assert.deepEqual(await search('final'), []);
+    });
+
+    it('leaves encrypted and password-protected rooms out', async () => {
+        await createRoom('secret', 'alice', 'c2VjcmV0', { encrypted: true });
+        const socket = await createRoom('private', 'bob', 'private plans');
+
+        assert.deepEqual(await search('c2VjcmV0'), []);
+        assert.equal((await search('plans')).length, 1);
+
+        socket.emit('setRoomPassword', 'hunter2', 'private', 'bob');
+        await waitFor(socket, 'roomSettings');
+        assert.deepEqual(await search('plans'), []);
+
+        socket.emit('setRoomPassword', null, 'private', 'bob');
+        await waitFor(socket, 'roomSettings');
+        assert.equal((await search('plans')).length, 1);
+    });
+
+    it('is only available to admins', async () => {
+        await createRoom('room1', 'alice', 'quarterly report');
+
+        assert.equal((await fetch(`${harness.url}/api/search?q=report`)).status, 401);
+        assert.equal((await fetch(`${harness.url}/api/search?q=%20`, { headers: ADMIN_HEADERS })).status, 400);
+
+        const user = await harness.connect();
+        const [message] = await emitAndWait(user, 'error', 'searchRooms', 'report');
+        assert.equal(message, 'Unauthorized');
+
+        const admin = await harness.connect({ auth: { adminToken: 'test-admin-token' } });
+        const [results, query] = await emitAndWait(admin, 'searchResults', 'searchRooms', 'report');
+        assert.equal(query, 'report');
+        assert.deepEqual(results.map(result => result.roomId), ['room1']);
+    });
+});
@@ -0,0 +1,183 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const { startServer, waitFor, emitAndWait, delay } = require('./helpers/harness');
+
+describe('sessions', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('issues a session token on init and requires it to init as the same user', async () => {
+        const { socket: alice, sessionToken } = await harness.join('room1', 'alice');
+        assert.equal(typeof sessionToken, 'string');
+
+        const mallory = await harness.connect();
+        const [missing] = await emitAndWait(mallory, 'error', 'init', 'room1', 'alice');
+        assert.equal(missing, 'Session token required');
+
+        const { sessionToken: bobToken } = await harness.join('room1', 'bob');
+        const [invalid] = await emitAndWait(mallory, 'error', 'init', 'room1', 'alice', null, null, { sessionToken: bobToken });
+        assert.equal(invalid, 'Invalid session token');
+        const [forged] = await emitAndWait(mallory, 'error', 'init', 'room1', 'alice', null, null, { sessionToken: `${sessionToken}x` });
+        assert.equal(forged, 'Invalid session token');
+
+        // Alice's own socket kept her slot
+        assert.equal(harness.storage.getRoomData('room1').users.alice.socketId, alice.id);
+
+        // With the token, a second tab joins as alice
+        const { sessionToken: sameToken } = await harness.join('room1', 'alice', null, null, { sessionToken });
+        assert.equal(sameToken, sessionToken);
+    });
+
+    it('revokes the token once the user has left the room', async () => {
+        await harness.join('room1', 'alice');
+        const { socket: bob, sessionToken } = await harness.join('room1', 'bob');
+
+        bob.close();
+        await delay(400);
+        assert.ok(!harness.storage.userExists('room1', 'bob'));
+
+        // Joining again as a new user gets a new token, the old one no longer works
+        const { socket, sessionToken: newToken } = await harness.join('room1', 'bob', null, null, { sessionToken });
+        assert.notEqual(newToken, sessionToken);
+        socket.close();
+        await delay(50);
+
+        const retry = await harness.connect();
+        const [message] = await emitAndWait(retry, 'error', 'init', 'room1', 'bob', null, null, { sessionToken });
+        assert.equal(message, 'Invalid session token');
+    });
+
+    it('keeps the sessions of the owner and editors after they leave', async () => {
+        const hour = 60 * 60 * 1000;
+        const { socket: alice, sessionToken: aliceToken } = await harness.join('room1', 'alice', null, null, { expiresIn: hour });
+        const { socket: bob, sessionToken: bobToken } = await harness.join('room1', 'bob');
+        alice.emit('setEditors', ['bob'], 'room1', 'alice');
+        await waitFor(alice, 'roomSettings');
+
+        alice.close();
+        bob.close();
+        await delay(400);
+        assert.deepEqual(harness.storage.getRoomData('room1').users, {});
+
+        const mallory = await harness.connect();
+        const [owner] = await emitAndWait(mallory, 'error', 'init', 'room1', 'alice');
+        assert.equal(owner, 'Session token required');
+        const [editor] = await emitAndWait(mallory, 'error', 'init', 'room1', 'bob');
+        assert.equal(editor, 'Session token required');
+
+        const { socket: returning, settings, sessionToken } = await harness.join('room1', 'alice', null, null, { sessionToken: aliceToken });
+        assert.equal(settings.ownerId, 'alice');
+        assert.equal(sessionToken, aliceToken);
+        await harness.join('room1', 'bob', null, null, { sessionToken: bobToken });
+
+        // Users who are no longer editors only keep their session while they stay
+        returning.emit('setEditors', [], 'room1', 'alice');
+        await waitFor(returning, 'roomSettings');
+        assert.equal(harness.storage.hasKeptSession('room1', 'bob'), false);
+        assert.equal(harness.storage.hasKeptSession('room1', 'alice'), true);
+    });
+
+    it('accepts kept sessions after a restart', async () => {
+        const hour = 60 * 60 * 1000;
+        const { sessionToken } = await harness.join('room1', 'alice', null, null, { expiresIn: hour });
+        await harness.stop({ removeData: false });
+
+        harness = await startServer({ dataDir: harness.dataDir });
+        const mallory = await harness.connect();
+        const [message] = await emitAndWait(mallory, 'error', 'init', 'room1', 'alice');
+        assert.equal(message, 'Session token required');
+
+        const { settings } = await harness.join('room1', 'alice', null, null, { sessionToken });
+        assert.equal(settings.ownerId, 'alice');
+    });
+
+    it('makes edits as the socket\'s own user', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+        const { socket: bob } = await harness.join('room1', 'bob');
+
+        const [message] = await emitAndWait(bob, 'error', 'textChange', 'as alice', 'room1', 'alice');
+        assert.equal(message, 'User not authorized for this room');
+        const [deltaMessage] = await emitAndWait(bob, 'error', 'textDelta', ['as alice'], 0, 'room1', 'alice');
+        assert.equal(deltaMessage, 'User not authorized for this room');
+        assert.equal(harness.storage.getDocument('room1', 'main').text, '');
+
+        const received = waitFor(alice, 'textChange');
+        bob.emit('textChange', 'from bob', 'room1', 'bob');
+        const [text] = await received;
+        assert.equal(text, 'from bob');
+        assert.deepEqual(harness.storage.getDocument('room1', 'main').operations.map(entry => entry.userId), ['bob']);
+    });
+
+    it('keeps a user with two tabs until their current tab closes', async () => {
+        const { socket: firstTab, sessionToken } = await harness.join('room1', 'alice');
+        const { socket: bob } = await harness.join('room1', 'bob');
+        const { socket: secondTab } = await harness.join('room1', 'alice', null, null, { sessionToken });
+
+        // Closing the older tab leaves alice in the room, editing from the newer one
+        firstTab.close();
+        await delay(400);
+        assert.equal(harness.storage.getRoomData('room1').users.alice.socketId, secondTab.id);
+        const received = waitFor(bob, 'textChange');
+        secondTab.emit('textChange', 'from the second tab', 'room1', 'alice');
+        assert.equal((await received)[0], 'from the second tab');
+
+        // Once the current tab closes alice is removed, and a tab left over can't edit
+        const { socket: thirdTab } = await harness.join('room1', 'alice', null, null, { sessionToken });
+        thirdTab.close();
+        await delay(400);
+        assert.ok(!harness.storage.userExists('room1', 'alice'));
+
+        const [message] = await emitAndWait(secondTab, 'error', 'textChange', 'too late', 'room1', 'alice');
+        assert.equal(message, 'User not in room');
+        const [deltaMessage] = await emitAndWait(secondTab, 'error', 'textDelta', ['too late'], 1, 'room1', 'alice');
+        assert.equal(deltaMessage, 'User not in room');
+        assert.equal(harness.storage.getDocument('room1', 'main').text, 'from the second tab');
+    });
+
+    it('requires a session token for uploads', async () => {
+        const { sessionToken } = await harness.join('room1', 'alice');
+        const upload = (headers) => fetch(`${harness.url}/api/rooms/room1/attachments`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain', 'X-Filename': 'notes.txt', ...headers },
+            body: 'notes'
+        });
+
+        const rejected = await upload({ 'X-User-Id': 'alice' });
+        assert.equal(rejected.status, 403);
+        assert.deepEqual(await rejected.json(), { error: 'Valid session token required' });
+
+        const response = await upload({ 'X-Session-Token': sessionToken });
+        assert.equal(response.status, 201);
+        assert.equal((await response.json()).uploadedBy, 'alice');
+    });
+
+    it('requires a session token or the admin token to write text over HTTP', async () => {
+        const { socket: alice, sessionToken } = await harness.join('room1', 'alice');
+        const put = (text, headers) => fetch(`${harness.url}/api/rooms/room1/text`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify({ text })
+        });
+
+        const anonymous = await put('anonymous', {});
+        assert.equal(anonymous.status, 403);
+        assert.deepEqual(await anonymous.json(), { error: 'Valid session token required' });
+
+        await emitAndWait(alice, 'getText', 'initText', 'room1', 'alice', { deltas: true });
+        const deltas = waitFor(alice, 'textDelta');
+        assert.equal((await put('from alice', { 'X-Session-Token': sessionToken })).status, 200);
+        assert.equal((await deltas)[2], 'alice');
+
+        assert.equal((await put('from an admin', { Authorization: 'Bearer test-admin-token' })).status, 200);
+        assert.deepEqual(harness.storage.getDocument('room1', 'main').operations.map(entry => entry.userId), ['alice', '@api']);
+    });
+});
@@ -0,0 +1,66 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, waitFor, emitAndWait, expectNoEvent } = require('./helpers/harness');
+
+describe('text sync', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('sends the current text on initText', async () => {
+        const { socket } = await harness.join('room1', 'alice');
+
+        const [text, roomId, revision, docId] = await emitAndWait(socket, 'getText', 'initText', 'room1', 'alice');
+        assert.deepEqual([text, roomId, revision, docId], ['', 'room1', 0, 'main']);
+    });
+
+    it('rejects initText from a socket that has not joined the room', async () => {
+        await harness.join('room1', 'alice');
+        const socket = await harness.connect();
+
+        const [message] = await emitAndWait(socket, 'error', 'initText', 'room1', 'alice');
+        assert.equal(message, 'User not authorized for this room');
+    });
+
+    it('broadcasts textChange to the other users only', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+        const { socket: bob } = await harness.join('room1', 'bob');
+
+        const received = waitFor(bob, 'textChange');
+        const notEchoed = expectNoEvent(alice, 'textChange');
+        alice.emit('textChange', 'hello', 'room1', 'alice');
+
+        assert.deepEqual(await received, ['hello', 'main']);
+        await notEchoed;
+
+        const [text, , revision] = await emitAndWait(bob, 'getText', 'initText', 'room1', 'bob');
+        assert.equal(text, 'hello');
+        assert.equal(revision, 1);
+    });
+
+    it('rejects textChange from users not in the room', async () => {
+        await harness.join('room1', 'alice');
+        const { socket: mallory } = await harness.join('room2', 'mallory');
+
+        const [message] = await emitAndWait(mallory, 'error', 'textChange', 'hijacked', 'room1', 'mallory');
+        assert.equal(message, 'User not authorized for this room');
+        assert.equal(harness.storage.getDocument('room1', 'main').text, '');
+    });
+
+    it('caps text at MAX_TEXT_LENGTH', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+        const { socket: bob } = await harness.join('room1', 'bob');
+
+        const received = waitFor(bob, 'textChange');
+        alice.emit('textChange', 'x'.repeat(1500), 'room1', 'alice');
+
+        const [text] = await received;
+        assert.equal(text.length, 1000);
+    });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const { startServer, waitFor, delay } = require('./helpers/harness');
+
+const ADMIN_HEADERS = { Authorization: 'Bearer test-admin-token' };
+
+describe('room export and import', () => {
+    let harness;
+
+    beforeEach(async () => {
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    // Room with text in its default document and a second document
+    const createRoom = async (roomId) => {
+        const { socket } = await harness.join(roomId, 'alice');
+        socket.emit('textChange', 'hello world', roomId, 'alice');
+        socket.emit('createDocument', 'Notes', roomId, 'alice');
+        await waitFor(socket, 'documents');
+        return { socket };
+    };
+
+    it('exports the room as JSON, text and markdown', async () => {
+        await createRoom('room1');
+
+        const response = await fetch(`${harness.url}/api/rooms/room1/export`);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-disposition'), /attachment; filename="room1-.*\.json"/);
+        const roomExport = await response.json();
+        assert.equal(roomExport.format, 'sync-board-room');
+        assert.deepEqual(roomExport.documents.map(document => [document.name, document.text]), [
+            ['Main', 'hello world'],
+            ['Notes', '']
+        ]);
+        assert.equal(roomExport.access, undefined);
+
+        const text = await fetch(`${harness.url}/api/rooms/room1/export?format=txt`);
+        assert.equal(await text.text(), 'hello world');
+
+        const markdown = await fetch(`${harness.url}/api/rooms/room1/export?format=md`);
+        assert.equal(await markdown.text(), '# Main\n\nhello world\n\n# Notes\n\n');
+    });
+
+    it('requires the room password to export', async () => {
+        const { socket } = await createRoom('room1');
+        socket.emit('setRoomPassword', 'secret', 'room1', 'alice');
+        await waitFor(socket, 'roomSettings');
+
+        const denied = await fetch(`${harness.url}/api/rooms/room1/export`);
+        assert.equal(denied.status, 403);
+
+        const allowed = await fetch(`${harness.url}/api/rooms/room1/export`, { headers: { 'X-Room-Password': 'secret' } });
+        assert.equal(allowed.status, 200);
+    });
+
+    it('creates a room from a JSON export', async () => {
+        await createRoom('room1');
+        const roomExport = await (await fetch(`${harness.url}/api/rooms/room1/export`)).json();
+
+        const response = await fetch(`${harness.url}/api/rooms/import?roomId=copy`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-User-Id': 'bob' },
+            body: JSON.stringify(roomExport)
+        });
+        assert.equal(response.status, 201);
+        const body = await response.json();
+        assert.equal(body.roomId, 'copy');
+        // The importer doesn't get to name the owner, the first user to join becomes it
+        assert.equal(body.settings.ownerId, null);
+        const { settings } = await harness.join('copy', 'carol');
+        assert.equal(settings.ownerId, 'carol');
+        assert.ok(harness.storage.hasKeptSession('copy', 'carol'));
+        assert.equal(harness.storage.getDocument('copy', 'main').text, 'hello world');
+        assert.ok(fs.existsSync(path.join(harness.dataDir, 'copy.json')));
+
+        // The export names room1, which exists
+        const conflict = await fetch(`${harness.url}/api/rooms/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(roomExport)
+        });
+        assert.equal(conflict.status, 409);
+    });
+
+    it('creates a room from a text file', async () => {
+        const response = await fetch(`${harness.url}/api/rooms/import?roomId=notes`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/markdown' },
+            body: '# Plan\n\n- one\n- two\n'
+        });
+        assert.equal(response.status, 201);
+        assert.equal(harness.storage.getDocument('notes', 'main').text, '# Plan\n\n- one\n- two\n');
+
+        const { socket, settings } = await harness.join('notes', 'carol');
+        assert.equal(settings.ownerId, 'carol');
+        socket.emit('initText', 'notes', 'carol');
+        const [text] = await waitFor(socket, 'getText');
+        assert.equal(text, '# Plan\n\n- one\n- two\n');
+    });
+
+    it('rejects invalid imports', async () => {
+        const post = (body, contentType) => fetch(`${harness.url}/api/rooms/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType },
+            body
+        });
+
+        assert.equal((await post('{', 'application/json')).status, 400);
+        assert.equal((await post(JSON.stringify({ format: 'other' }), 'application/json')).status, 400);
+        assert.equal((await post(JSON.stringify({
+            format: 'sync-board-room',
+            version: 1,
+            documents: [{ docId: 'main', text: 'x'.repeat(1001) }]
+        }), 'application/json')).status, 400);
+        assert.equal((await post('text', 'image/png')).status, 415);
+        assert.deepEqual(Object.keys(harness.storage.data), []);
+    });
+});
+
+describe('backup and restore', () => {
+    it('restores every room into another server', async () => {
+        const source = await startServer();
+        const target = await startServer();
+        try {
+            const { socket } = await source.join('room1', 'alice');
+            socket.emit('textChange', 'backed up', 'room1', 'alice');
+            await delay(50);
+            await source.join('room2', 'bob');
+
+            assert.equal((await fetch(`${source.url}/api/backup`)).status, 401);
+            const response = await fetch(`${source.url}/api/backup`, { headers: ADMIN_HEADERS });
+            assert.equal(response.status, 200);
+            const archive = Buffer.from(await response.arrayBuffer());
+            const backup = JSON.parse(zlib.gunzipSync(archive));
+            assert.deepEqual(Object.keys(backup.rooms).sort(), ['room1', 'room2']);
+
+            // One entry that fails the storage checks
+            backup.rooms.broken = { documents: { main: { text: 42 } } };
+            const restore = (body, query = '') => fetch(`${target.url}/api/restore${query}`, {
+                method: 'POST',
+                headers: { ...ADMIN_HEADERS, 'Content-Type': 'application/gzip' },
+                body
+            });
+
+            const restored = await (await restore(zlib.gzipSync(JSON.stringify(backup)))).json();
+            assert.deepEqual(restored, { restored: ['room1', 'room2'], skipped: [], invalid: ['broken'] });
+            assert.equal(target.storage.getDocument('room1', 'main').text, 'backed up');
+            assert.equal(target.storage.getRoomSettings('room1').ownerId, 'alice');
+            assert.deepEqual(target.storage.getRoomData('room1').users, {});
+
+            const again = await (await restore(archive)).json();
+            assert.deepEqual(again.skipped, [
+                { roomId: 'room1', reason: 'exists' },
+                { roomId: 'room2', reason: 'exists' }
+            ]);
+
+            await target.join('room1', 'alice');
+            const overwritten = await (await restore(archive, '?overwrite=true')).json();
+            assert.deepEqual(overwritten.restored, ['room2']);
+            assert.deepEqual(overwritten.skipped, [{ roomId: 'room1', reason: 'active' }]);
+
+            assert.equal((await restore(Buffer.from('not a backup'))).status, 400);
+        } finally {
+            await source.stop();
+            await target.stop();
+        }
+    });
+});
+
+describe('import script', () => {
+    it('imports files into storage without a server', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-board-test-'));
+        const file = path.join(dataDir, 'notes.md');
+        fs.writeFileSync(file, 'imported offline');
+
+        const run = (...args) => execFileSync(process.execPath, [path.join(__dirname, '../scripts/import-room.js'), ...args], {
+            env: { ...process.env, DATA_DIR: dataDir },
+            stdio: 'pipe'
+        });
+        run(file, '--room', 'offline', '--owner', 'dave');
+        assert.throws(() => run(file, '--room', 'offline'));
+
+        const harness = await startServer({ dataDir });
+        try {
+            assert.equal(harness.storage.getDocument('offline', 'main').text, 'imported offline');
+            assert.equal(harness.storage.getRoomSettings('offline').ownerId, 'dave');
+        } finally {
+            await harness.stop();
+        }
+    });
+});
@@ -0,0 +1,169 @@
+const http = require('http');
+const crypto = require('crypto');
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SECRET = 'test-webhook-secret';
+
+// Local webhook receiver recording every request. `statuses` holds the response codes for
+// the next requests of an event, after which it answers 200.
+const startReceiver = async () => {
+    const receiver = {
+        requests: [],
+        statuses: {},
+
+        // Resolves with the requests for `event` once there are `count` of them
+        async waitFor(event, count = 1, timeout = 2000) {
+            const deadline = Date.now() + timeout;
+            for (;;) {
+                const matching = this.requests.filter(request => request.payload.event === event);
+                if (matching.length >= count) return matching;
+                if (Date.now() > deadline) throw new Error(`Timed out waiting for ${count} ${event} webhooks`);
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const payload = JSON.parse(body);
+            receiver.requests.push({ headers: req.headers, body, payload, receivedAt: Date.now() });
+            res.statusCode = receiver.statuses[payload.event]?.shift() || 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    receiver.url = `http://localhost:${server.address().port}/hooks`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+};
+
+const isSigned = ({ headers, body }) => {
+    const expected = crypto.createHmac('sha256', SECRET)
+        .update(`${headers['x-syncboard-timestamp']}.${body}`)
+        .digest('hex');
+    return headers['x-syncboard-signature'] === `sha256=${expected}`;
+};
+
+describe('webhooks', () => {
+    let receiver;
+    let harness;
+    // Loaded once the receiver's URL is in the env the config is read from
+    let startServer;
+    let waitFor;
+    let delay;
+
+    before(async () => {
+        receiver = await startReceiver();
+        Object.assign(process.env, {
+            WEBHOOK_URLS: receiver.url,
+            WEBHOOK_SECRET: SECRET,
+            WEBHOOK_TEXT_DEBOUNCE: '100',
+            WEBHOOK_MAX_ATTEMPTS: '3',
+            WEBHOOK_RETRY_DELAY: '50'
+        });
+        ({ startServer, waitFor, delay } = require('./helpers/harness'));
+    });
+
+    after(async () => {
+        await receiver.close();
+    });
+
+    beforeEach(async () => {
+        receiver.requests = [];
+        receiver.statuses = {};
+        harness = await startServer();
+    });
+
+    afterEach(async () => {
+        await harness.stop();
+    });
+
+    it('sends signed room.created and user.joined events', async () => {
+        await harness.join('room1', 'alice');
+
+        const [created] = await receiver.waitFor('room.created');
+        assert.ok(isSigned(created));
+        assert.equal(created.headers['x-syncboard-event'], 'room.created');
+        assert.equal(created.headers['x-syncboard-delivery'], created.payload.id);
+        assert.equal(created.payload.roomId, 'room1');
+        assert.deepEqual(created.payload.data, { ownerId: 'alice', encrypted: false, source: 'init' });
+
+        const [joined] = await receiver.waitFor('user.joined');
+        assert.ok(isSigned(joined));
+        assert.deepEqual(joined.payload.data, { userId: 'alice', role: 'participant', participants: 1 });
+
+        // A tampered body no longer matches the signature
+        assert.equal(isSigned({ ...joined, body: joined.body.replace('alice', 'mallory') }), false);
+    });
+
+    it('sends one text.changed event for changes within the debounce window', async () => {
+        const { socket: alice } = await harness.join('room1', 'alice');
+        const { socket: bob } = await harness.join('room1', 'bob');
+
+        alice.emit('textChange', 'a', 'room1', 'alice');
+        await waitFor(bob, 'textChange');
+        bob.emit('textChange', 'ab', 'room1', 'bob');
+        await waitFor(alice, 'textChange');
+        alice.emit('textChange', 'abc', 'room1', 'alice');
+        await waitFor(bob, 'textChange');
+
+        const [changed] = await receiver.waitFor('text.changed');
+        assert.deepEqual(changed.payload.data, {
+            docId: 'main',
+            revision: 3,
+            textLength: 3,
+            changes: 3,
+            userIds: ['alice', 'bob']
+        });
+
+        await delay(150);
+        assert.equal(receiver.requests.filter(request => request.payload.event === 'text.changed').length, 1);
+    });
+
+    it('sends user.left and room.deleted after the grace period', async () => {
+        const { socket } = await harness.join('room1', 'alice');
+        socket.emit('textChange', 'bye', 'room1', 'alice');
+        await delay(20);
+        socket.close();
+
+        const [left] = await receiver.waitFor('user.left');
+        assert.deepEqual(left.payload.data, { userId: 'alice', participants: 0 });
+
+        const [deleted] = await receiver.waitFor('room.deleted');
+        assert.deepEqual(deleted.payload.data, { reason: 'empty' });
+
+        // The pending text change went out before the delete
+        const events = receiver.requests.map(request => request.payload.event);
+        assert.ok(events.indexOf('text.changed') < events.indexOf('room.deleted'));
+    });
+
+    it('retries failed deliveries with backoff', async () => {
+        receiver.statuses = { 'room.created': [500, 503] };
+        await harness.join('room1', 'alice');
+
+        const attempts = await receiver.waitFor('room.created', 3);
+        assert.equal(new Set(attempts.map(request => request.payload.id)).size, 1);
+        assert.ok(attempts.every(isSigned));
+        assert.ok(attempts[1].receivedAt - attempts[0].receivedAt >= 40);
+        assert.ok(attempts[2].receivedAt - attempts[1].receivedAt >= 90);
+    });
+
+    it('gives up after the last attempt and on rejected payloads', async () => {
+        receiver.statuses = { 'room.created': [500, 500, 500] };
+        await harness.join('room1', 'alice');
+        await receiver.waitFor('room.created', 3);
+
+        receiver.statuses = { 'room.created': [400] };
+        await harness.join('room2', 'bob');
+        await receiver.waitFor('room.created', 4);
+
+        await delay(300);
+        const attempts = receiver.requests.filter(request => request.payload.event === 'room.created');
+        assert.equal(attempts.length, 4);
+    });
+});